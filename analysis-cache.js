@@ -0,0 +1,70 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { writeJsonAtomic } from './tracking-store.js';
+
+/**
+ * Parsed model verdicts from earlier runs, keyed by SHA-256 content hash plus an
+ * analysis version. The version is a hash of the exact prompt, provider and model, so
+ * editing a prompt or switching models re-analyzes everything while renames and
+ * re-downloads of the same content hit the cache. Only validated verdicts are stored;
+ * errors and unparseable replies are retried on the next run.
+ */
+class AnalysisCache {
+    constructor(baseDir) {
+        this.file = path.join(baseDir, 'analysis_cache.json');
+        this.entries = {};
+        this.dirty = false;
+    }
+
+    static version(prompt, provider) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([provider.name, provider.model, prompt]))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    static key(contentHash, version) {
+        return `${contentHash}:${version}`;
+    }
+
+    async readEntries() {
+        if (!await fs.pathExists(this.file)) return {};
+        const data = await fs.readJson(this.file);
+        return data.entries || {};
+    }
+
+    async load() {
+        this.entries = await this.readEntries();
+        return this;
+    }
+
+    async save() {
+        if (!this.dirty) return;
+
+        // The image and video analyzers run side by side; keep what the other one saved meanwhile
+        this.entries = { ...await this.readEntries(), ...this.entries };
+        await writeJsonAtomic(this.file, { lastUpdated: new Date().toISOString(), entries: this.entries });
+        this.dirty = false;
+    }
+
+    get(contentHash, version) {
+        return this.entries[AnalysisCache.key(contentHash, version)] || null;
+    }
+
+    set(contentHash, version, { verdict, confidence, attributes, reasoning, file, mediaType, model }) {
+        this.entries[AnalysisCache.key(contentHash, version)] = {
+            verdict,
+            confidence,
+            attributes,
+            reasoning,
+            file,
+            mediaType,
+            model,
+            analyzedAt: new Date().toISOString()
+        };
+        this.dirty = true;
+    }
+}
+
+export default AnalysisCache;
@@ -0,0 +1,80 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Detection policy: how a parsed verdict becomes one of three outcomes - "keep",
+ * "review" (moved to review/ for a moderator, see review-queue.js) or "delete".
+ *
+ * Each analyzer sets a policy per media handler; analysis-policy.json can override
+ * the confidence bands per media type without touching the analyzers:
+ *
+ *   { "image": { "keepConfidence": 8, "reviewConfidence": 5 }, "video": { "maybe": "review" } }
+ */
+
+// Default detection policy; handlers override per media type
+export const DEFAULT_POLICY = {
+    keepConfidence: 0,            // A YES at or above this confidence is kept
+    reviewConfidence: 0,          // A YES from here up to keepConfidence goes to review; below it is deleted
+    uncertainNoConfidence: 0,     // A NO below this confidence goes to review instead of being deleted
+    maybe: 'delete',              // What a "maybe" verdict does: "keep", "review" or "delete"
+    attributesImplySchwepe: false // Whether a YES attribute makes any non-maybe verdict count as YES
+};
+
+export const OUTCOMES = ['keep', 'review', 'delete'];
+
+const CONFIDENCE_KEYS = ['keepConfidence', 'reviewConfidence', 'uncertainNoConfidence'];
+
+export function applyPolicy({ verdict, confidence, attributes }, policy = DEFAULT_POLICY) {
+    const { keepConfidence, reviewConfidence, uncertainNoConfidence, maybe, attributesImplySchwepe } = { ...DEFAULT_POLICY, ...policy };
+
+    if (verdict === 'maybe') return maybe;
+
+    if (verdict === 'yes' || (attributesImplySchwepe && Object.values(attributes).some(Boolean))) {
+        if (confidence >= keepConfidence) return 'keep';
+        return confidence >= reviewConfidence ? 'review' : 'delete';
+    }
+
+    return confidence < uncertainNoConfidence ? 'review' : 'delete';
+}
+
+// Throws on the first problem; source names the analyzer or file the policy came from
+export function checkPolicy(policy, source) {
+    for (const key of Object.keys(policy)) {
+        if (!(key in DEFAULT_POLICY)) {
+            throw new Error(`${source}: unknown setting "${key}" (expected one of: ${Object.keys(DEFAULT_POLICY).join(', ')})`);
+        }
+    }
+    for (const key of CONFIDENCE_KEYS) {
+        if (!Number.isInteger(policy[key]) || policy[key] < 0 || policy[key] > 10) {
+            throw new Error(`${source}: ${key} must be a whole number from 0 to 10 (got ${JSON.stringify(policy[key])})`);
+        }
+    }
+    if (policy.reviewConfidence > policy.keepConfidence) {
+        throw new Error(`${source}: reviewConfidence (${policy.reviewConfidence}) must not be above keepConfidence (${policy.keepConfidence})`);
+    }
+    if (!OUTCOMES.includes(policy.maybe)) {
+        throw new Error(`${source}: maybe must be one of ${OUTCOMES.map(outcome => `"${outcome}"`).join(', ')} (got ${JSON.stringify(policy.maybe)})`);
+    }
+    if (typeof policy.attributesImplySchwepe !== 'boolean') {
+        throw new Error(`${source}: attributesImplySchwepe must be true or false`);
+    }
+    return policy;
+}
+
+// Per-media-type overrides from analysis-policy.json, or {} when there is none
+export async function loadPolicyOverrides(baseDir) {
+    const file = path.join(baseDir, 'analysis-policy.json');
+    if (!await fs.pathExists(file)) return {};
+
+    const overrides = await fs.readJson(file);
+    for (const [type, policy] of Object.entries(overrides)) {
+        if (type.startsWith('_')) continue;
+        if (!['image', 'video'].includes(type)) {
+            throw new Error(`analysis-policy.json: unknown media type "${type}" (expected "image" or "video")`);
+        }
+        if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+            throw new Error(`analysis-policy.json: ${type} must be an object`);
+        }
+    }
+    return overrides;
+}
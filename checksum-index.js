@@ -0,0 +1,113 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { writeJsonAtomic } from './tracking-store.js';
+
+/**
+ * SHA-256 content index shared by the downloader and analyzers.
+ *
+ * master_checksums.json maps each hash to the first saved copy of that content,
+ * with every later re-post recorded in its `duplicates` array.
+ * image_hashes.json / video_hashes.json hold the flat per-type hash lists.
+ */
+class ChecksumIndex {
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+        this.masterFile = path.join(baseDir, 'master_checksums.json');
+        this.typeFiles = {
+            image: path.join(baseDir, 'image_hashes.json'),
+            video: path.join(baseDir, 'video_hashes.json')
+        };
+
+        this.entries = {};
+        this.typeHashes = { image: new Set(), video: new Set() };
+        this.dirty = false;
+    }
+
+    static hash(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    static async hashFile(filePath) {
+        return ChecksumIndex.hash(await fs.readFile(filePath));
+    }
+
+    async load() {
+        if (await fs.pathExists(this.masterFile)) {
+            this.entries = await fs.readJson(this.masterFile);
+        }
+
+        for (const [type, file] of Object.entries(this.typeFiles)) {
+            if (await fs.pathExists(file)) {
+                const data = await fs.readJson(file);
+                this.typeHashes[type] = new Set(data.hashes || []);
+            }
+        }
+
+        // Entries may predate the per-type lists
+        for (const entry of Object.values(this.entries)) {
+            this.typeHashes[entry.type]?.add(entry.hash);
+        }
+
+        return this;
+    }
+
+    async save() {
+        if (!this.dirty) return;
+
+        const lastUpdated = new Date().toISOString();
+        await writeJsonAtomic(this.masterFile, this.entries);
+        for (const [type, file] of Object.entries(this.typeFiles)) {
+            await writeJsonAtomic(file, { hashes: Array.from(this.typeHashes[type]), lastUpdated });
+        }
+
+        this.dirty = false;
+    }
+
+    get(hash) {
+        return this.entries[hash] || null;
+    }
+
+    has(hash) {
+        return hash in this.entries;
+    }
+
+    relativePath(filePath) {
+        return path.relative(this.baseDir, filePath).split(path.sep).join('/');
+    }
+
+    recordOriginal(hash, { filePath, size, type, ...source }) {
+        this.entries[hash] = {
+            name: path.basename(filePath),
+            path: this.relativePath(filePath),
+            hash,
+            size,
+            type,
+            created: new Date().toISOString(),
+            ...source,
+            duplicates: []
+        };
+        this.typeHashes[type]?.add(hash);
+        this.dirty = true;
+        return this.entries[hash];
+    }
+
+    recordDuplicate(hash, { name, size, type, ...source }) {
+        const original = this.entries[hash];
+        if (!original) return null;
+
+        original.duplicates = original.duplicates || [];
+        original.duplicates.push({
+            name,
+            hash,
+            size,
+            type,
+            created: new Date().toISOString(),
+            ...source
+        });
+        this.dirty = true;
+        return original;
+    }
+}
+
+export default ChecksumIndex;
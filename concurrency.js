@@ -0,0 +1,46 @@
+/**
+ * Bounded concurrency: at most `concurrency` tasks run at once, the rest wait in FIFO order.
+ *
+ *   const limit = createLimiter(4);
+ *   await Promise.all(files.map(file => limit(() => download(file))));
+ */
+
+export function createLimiter(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Concurrency must be a positive integer (got ${concurrency})`);
+    }
+
+    let active = 0;
+    const waiting = [];
+
+    const next = () => {
+        if (active >= concurrency || waiting.length === 0) return;
+        active++;
+        const { task, resolve, reject } = waiting.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    const limit = (task) => new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+    });
+
+    Object.defineProperties(limit, {
+        active: { get: () => active },
+        pending: { get: () => waiting.length }
+    });
+
+    return limit;
+}
+
+// Run fn over every item with bounded concurrency; resolves with the results in item order
+export function mapLimited(items, concurrency, fn) {
+    const limit = createLimiter(concurrency);
+    return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
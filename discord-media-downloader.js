@@ -4,16 +4,31 @@ import { Client, GatewayIntentBits } from 'discord.js';
 import fs from 'fs-extra';
 import path from 'path';
 import axios from 'axios';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import ChecksumIndex from './checksum-index.js';
+import { createTrackingStore, writeJsonAtomic } from './tracking-store.js';
+import { collectMediaSources } from './media-sources.js';
+import { buildMetadata, writeSidecar } from './media-metadata.js';
+import { mayBeMedia, sniffMediaType, correctExtension, typeFromContentType, typeFromExtension, SNIFF_BYTES } from './media-type.js';
+import { createLimiter, mapLimited } from './concurrency.js';
+import { DEFAULT_DOWNLOADER_CONFIG, ConfigError, loadDownloaderConfig, renderOutputLayout } from './downloader-config.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Keeps <timestamp>_<msg>_<source>_<name> plus .<pid>.part or .analysis.txt under the 255-byte file name limit
+const MAX_MEDIA_NAME_LENGTH = 120;
+// Problems with the local disk, which downloading the file again cannot fix
+const LOCAL_FS_ERRORS = ['ENAMETOOLONG', 'EACCES', 'EPERM', 'ENOSPC', 'EROFS'];
+
 class DiscordMediaDownloaderEnhanced {
-    constructor(hoursOverride = null) {
+    constructor(options = {}) {
         this.client = new Client({
             intents: [
                 GatewayIntentBits.Guilds,
@@ -22,47 +37,115 @@ class DiscordMediaDownloaderEnhanced {
             ]
         });
 
-        this.channelDatesFile = path.join(__dirname, 'channel_dates.json');
-        this.processedMessagesFile = path.join(__dirname, 'processed_messages.json');
-        this.imagesDir = path.join(__dirname, 'saved_images');
-        this.videosDir = path.join(__dirname, 'saved_videos');
+        // A bounded run (--since/--until/--channels, or an hours value) crawls with its own cursor set
+        // in range_cursors.json, so channel_dates.json and the regular incremental run are never touched.
+        // range: { afterId, beforeId, since, until, channels } - crawl messages with afterId < ID < beforeId
+        this.range = options.range || null;
+        this.channelDatesFile = path.join(__dirname, this.range ? 'range_cursors.json' : 'channel_dates.json');
+        this.failedDownloadsFile = path.join(__dirname, 'failed_downloads.json');
+
+        // Validated settings from downloader-config.json, env vars and CLI flags (see downloader-config.js)
+        this.config = options.config || {
+            ...DEFAULT_DOWNLOADER_CONFIG,
+            outputDirs: { images: path.join(__dirname, 'saved_images'), videos: path.join(__dirname, 'saved_videos') }
+        };
+        this.imagesDir = this.config.outputDirs.images;
+        this.videosDir = this.config.outputDirs.videos;
+
+        // dates: channel ID -> stop snowflake; threads: parent ID -> thread ID -> { cursor, name, archived };
+        // cursors: channel or thread ID -> position of a crawl that has not finished yet
+        this.channelDates = { dates: {}, threads: {}, cursors: {}, lastUpdated: null };
+        // Processed message IDs - 'log' (append-only, default) or 'json' (legacy whole-file rewrite)
+        this.processedMessages = createTrackingStore(process.env.TRACKING_STORE || 'log', { dir: __dirname });
+        this.checksumIndex = new ChecksumIndex(__dirname);
+
+        // Run mode: 'download' (normal crawl), 'watch' (crawl, then stay connected for live
+        // messages) or 'retry-failed' (drain failed_downloads.json)
+        this.mode = options.mode || 'download';
+
+        // Live listener state: events are handled one at a time, in order, behind any backfill
+        this.watchState = {
+            queue: Promise.resolve(),
+            crawlAborted: false // Set when an outage stopped a crawl; it resumes on reconnect
+        };
+
+        // Cursors (entries of channelDates.cursors) of the crawls currently running
+        this.activeCrawls = new Set();
+
+        // Channels being crawled or watched, resolved from the config once logged in
+        this.channelIds = [];
+
+        // Channels whose crawl finished this session; only their cursors may move on live events,
+        // or the next run would stop short of history a failed crawl never fetched
+        this.backfilledChannels = new Set();
+
+        // Channels crawled side by side, and media downloads in flight across all of them
+        this.concurrency = { ...this.config.concurrency };
+        this.downloadLimit = createLimiter(this.concurrency.downloads);
+        // Content hash -> pending write, so two parallel downloads of the same file save it once
+        this.inFlightHashes = new Map();
+        // Writes to the same tracking files must not overlap
+        this.saveQueue = Promise.resolve();
+        this.failedLogQueue = Promise.resolve();
 
-        this.channelDates = { dates: {}, lastUpdated: null };
-        this.processedMessages = new Set();
+        // No new requests before these times: 'api' after a global Discord rate limit, 'cdn' after a 429
+        this.rateLimitState = { pausedUntil: { api: 0, cdn: 0 } };
 
-        // Hours override for custom starting point
-        this.hoursOverride = hoursOverride;
+        // Per-channel crawl progress for the progress/ETA line: channel ID -> { name, phase, newestTs, reachedTs, stopTs }
+        this.crawlStatus = new Map();
 
         this.stats = {
             totalMessages: 0,
             newMessages: 0,
             imagesSaved: 0,
             videosSaved: 0,
+            duplicatesSkipped: 0,
+            savedBySource: { attachment: 0, embed: 0, sticker: 0, link: 0 },
+            notMediaSkipped: 0,
+            filteredSkipped: 0,
+            extensionsCorrected: 0,
             errors: 0,
             retries: 0,
             connectionErrors: 0,
-            oldMessagesFiltered: 0
+            oldMessagesFiltered: 0,
+            threadsScanned: 0,
+            threadsUpToDate: 0,
+            failedRetried: 0,
+            failedRecovered: 0,
+            failedDead: 0,
+            liveMessages: 0,
+            liveEdits: 0,
+            gapBackfills: 0,
+            rateLimits: 0
         };
 
         // Enhanced retry configuration
         this.retryConfig = {
-            maxRetries: 3,
-            baseDelay: 2000, // 2 seconds
-            maxDelay: 30000, // 30 seconds
-            backoffMultiplier: 2
+            maxRetries: this.config.retry.maxRetries,
+            baseDelay: this.config.retry.baseDelayMs,
+            maxDelay: this.config.retry.maxDelayMs,
+            backoffMultiplier: this.config.retry.backoffMultiplier
         };
 
-        // Connection monitoring
+        // Failed download queue configuration
+        this.failedDownloadConfig = {
+            maxAttempts: this.config.retry.failedDownloadMaxAttempts, // Mark dead after this many tries
+            maxErrorHistory: 5 // Keep only the most recent errors per entry
+        };
+
+        // Connection monitoring: the crawl pauses while any shard is down, and the run is
+        // aborted (resumable from the saved cursors) once an outage lasts longer than maxOutageMs
         this.connectionState = {
             isConnected: false,
+            downShards: new Set(),
+            disconnectedAt: null,
             lastCheck: null,
             consecutiveFailures: 0,
-            maxConsecutiveFailures: 5
+            maxOutageMs: this.config.maxOutageMinutes * 60000
         };
 
-        // Date filtering configuration
+        // Date filtering: cutoffDate is the default lookback; channelOverrides get their own via cutoffFor()
         this.dateFilterConfig = {
-            maxDaysOld: 20, // Only get content from past 20 days
             cutoffDate: this.calculateCutoffDate()
         };
     }
@@ -71,32 +154,53 @@ class DiscordMediaDownloaderEnhanced {
         console.log('🤖 Enhanced Discord Media Downloader');
         console.log('📥 Downloading media from Discord channels with internet safeguards...\n');
 
+        console.log(`⚙️  Config: ${this.config.source || 'built-in defaults'}`);
+        if (this.range) {
+            console.log(`🎯 Range: ${this.describeRange()} (cursors kept in ${path.basename(this.channelDatesFile)})`);
+        } else {
+            const overrides = Object.keys(this.config.channelOverrides).length;
+            console.log(`📅 Lookback: ${this.config.lookbackDays} days (from ${new Date(this.dateFilterConfig.cutoffDate).toISOString()})${overrides > 0 ? `, ${overrides} channels with their own window` : ''}`);
+        }
+        console.log(`🗂️  Media types: ${this.config.mediaTypes.join(', ')} (max ${this.config.maxFileSizeMB.image} MB images, ${this.config.maxFileSizeMB.video} MB videos)\n`);
+
         await fs.ensureDir(this.imagesDir);
         await fs.ensureDir(this.videosDir);
+        await this.sweepPartialDownloads();
 
         if (!process.env.DISCORD_BOT_TOKEN) {
             throw new Error('DISCORD_BOT_TOKEN not found in .env file');
         }
 
         await this.loadTrackingFiles();
+        await this.loadChecksumIndex();
 
         // Setup Discord connection monitoring
         this.setupConnectionMonitoring();
 
+        // discord.js v14 reports connection changes per shard
+        this.client.on('shardDisconnect', (event, shardId) => this.markShardDown(shardId, `closed with code ${event?.code}`));
+        this.client.on('shardReconnecting', (shardId) => this.markShardDown(shardId, 'reconnecting'));
+        this.client.on('shardError', (error, shardId) => {
+            this.stats.connectionErrors++;
+            this.markShardDown(shardId, error.message);
+        });
+        this.client.on('shardReady', (shardId) => this.markShardUp(shardId));
+        this.client.on('shardResume', (shardId) => this.markShardUp(shardId));
+
+        // discord.js queues requests per route itself; a global limit also holds back our own requests
+        this.client.rest.on('rateLimited', (info) => this.onRateLimited(info));
+
         this.client.on('ready', () => {
             console.log(`✅ Logged in as ${this.client.user.tag}`);
             this.connectionState.isConnected = true;
             this.connectionState.lastCheck = Date.now();
-            this.startDownload();
-        });
-
-        this.client.on('disconnect', () => {
-            this.connectionState.isConnected = false;
-            console.log('⚠️  Discord connection lost');
-        });
-
-        this.client.on('reconnecting', () => {
-            console.log('🔄 Attempting to reconnect to Discord...');
+            if (this.mode === 'retry-failed') {
+                this.startRetryFailed();
+            } else if (this.mode === 'watch') {
+                this.startWatch();
+            } else {
+                this.startDownload();
+            }
         });
 
         await this.client.login(process.env.DISCORD_BOT_TOKEN);
@@ -115,19 +219,53 @@ class DiscordMediaDownloaderEnhanced {
         }, 60000);
     }
 
+    markShardDown(shardId, reason) {
+        const state = this.connectionState;
+        if (!state.downShards.has(shardId)) {
+            console.log(`⚠️  Discord connection lost (shard ${shardId}: ${reason})`);
+        }
+        state.downShards.add(shardId);
+        state.isConnected = false;
+        state.disconnectedAt = state.disconnectedAt || Date.now();
+    }
+
+    markShardUp(shardId) {
+        const state = this.connectionState;
+        state.downShards.delete(shardId);
+        if (state.downShards.size > 0 || !state.disconnectedAt) return;
+
+        const outageStart = state.disconnectedAt;
+        console.log(`✅ Discord connection restored after ${Math.round((Date.now() - outageStart) / 1000)}s`);
+        state.isConnected = true;
+        state.disconnectedAt = null;
+        state.consecutiveFailures = 0;
+
+        // Events sent during the outage are lost; watch mode crawls the gap. A crawl the outage
+        // aborted resumes from its saved cursors instead, which also covers the gap
+        if (this.mode === 'watch' && this.watchState.crawlAborted) {
+            this.watchState.crawlAborted = false;
+            this.enqueue(() => this.startDownload(), 'resuming the crawl after reconnect');
+        } else if (this.mode === 'watch') {
+            this.enqueue(() => this.backfillGap(outageStart), 'backfilling after reconnect');
+        }
+    }
+
     async checkConnectionHealth() {
         try {
             const now = Date.now();
             this.connectionState.lastCheck = now;
 
-            if (!this.connectionState.isConnected) {
+            if (!this.connectionState.isConnected && this.connectionState.disconnectedAt) {
                 this.connectionState.consecutiveFailures++;
-                console.log(`❌ Connection check failed (${this.connectionState.consecutiveFailures}/${this.connectionState.maxConsecutiveFailures})`);
-
-                if (this.connectionState.consecutiveFailures >= this.connectionState.maxConsecutiveFailures) {
-                    console.log('🚨 Too many connection failures - saving progress and pausing');
-                    await this.saveTrackingFiles();
-                    // Could implement wait strategy here
+                const outageMs = now - this.connectionState.disconnectedAt;
+                console.log(this.mode === 'watch' && this.activeCrawls.size === 0
+                    ? `❌ Disconnected for ${Math.round(outageMs / 1000)}s - waiting for Discord to reconnect`
+                    : `❌ Disconnected for ${Math.round(outageMs / 1000)}s - crawl paused (giving up after ${Math.round(this.connectionState.maxOutageMs / 1000)}s)`);
+
+                // A paused crawl aborts itself between batches; with no crawl running, stop here.
+                // A watcher without a crawl just waits for discord.js to reconnect
+                if (outageMs >= this.connectionState.maxOutageMs && this.activeCrawls.size === 0 && this.mode !== 'watch') {
+                    await this.abortForOutage(outageMs);
                 }
                 return;
             }
@@ -142,60 +280,73 @@ class DiscordMediaDownloaderEnhanced {
         }
     }
 
-    async loadTrackingFiles() {
-        try {
-            // If hours override is provided, reset processed messages to start fresh from new time point
-            if (this.hoursOverride !== null) {
-                console.log(`🔄 Hours override detected - resetting processed messages to start from ${this.hoursOverride} hours back`);
-                this.processedMessages = new Set();
-
-                // Ensure we have channel dates loaded before overriding
-                if (Object.keys(this.channelDates.dates).length === 0) {
-                    console.log('⚠️  No channels found, loading channel configuration...');
-                    // Try to load from backup or use default channels
-                    this.channelDates.dates = {
-                        "843838504822767647": null,
-                        "843928612276273162": null,
-                        "1010485058483798096": null,
-                        "1070605940530880562": null,
-                        "1073958855979057162": null,
-                        "1212806456668061707": null,
-                        "1217518421332332716": null,
-                        "1283057471031738379": null
-                    };
-                    console.log('📋 Loaded default channel configuration');
-                }
+    // Called between message batches: wait out a gateway outage, or give up once it is too long
+    async waitForConnection(position = null) {
+        const state = this.connectionState;
+        if (state.isConnected || !state.disconnectedAt) return;
 
-                // Reset all channel dates to the new cutoff point
-                const cutoffSnowflake = this.timestampToSnowflake(this.dateFilterConfig.cutoffDate);
-                const originalChannelCount = Object.keys(this.channelDates.dates).length;
-                for (const channelId of Object.keys(this.channelDates.dates)) {
-                    this.channelDates.dates[channelId] = cutoffSnowflake;
-                }
-                this.channelDates.lastUpdated = new Date().toISOString();
+        const beforeId = position?.beforeId;
+        console.log(`   ⏸️  Crawl paused${beforeId ? ` before ${beforeId}` : ''} until Discord reconnects...`);
 
-                console.log(`📅 Reset ${originalChannelCount} channels to start from: ${new Date(this.dateFilterConfig.cutoffDate).toISOString()}`);
-                console.log(`🆔 Using cutoff snowflake: ${cutoffSnowflake}`);
+        while (!state.isConnected) {
+            const outageMs = Date.now() - state.disconnectedAt;
+            if (outageMs >= state.maxOutageMs) {
+                throw Object.assign(new Error(`Discord unreachable for ${Math.round(outageMs / 1000)}s`), { outage: true, outageMs });
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
 
-                // Save the reset state immediately
-                await this.saveTrackingFiles();
-                console.log(`💾 Saved reset state with hours override`);
-                return;
+        console.log(`   ▶️  Reconnected - resuming crawl${beforeId ? ` before ${beforeId}` : ''}`);
+    }
+
+    // Save progress, including the cursors of unfinished crawls, so the next run resumes there, and exit.
+    // A watcher only gives up on the crawl: it resumes from the same cursors once Discord reconnects
+    async abortForOutage(outageMs) {
+        if (this.mode === 'watch') {
+            if (!this.watchState.crawlAborted) {
+                console.log(`🚨 Discord has been unreachable for ${Math.round(outageMs / 1000)}s - stopping the crawl; it resumes after reconnecting`);
             }
+            this.watchState.crawlAborted = true;
+            await this.saveTrackingFiles();
+            return;
+        }
+
+        // Parallel crawls all hit the outage; only the first one saves and exits
+        if (this.aborting) return this.aborting;
+        this.aborting = new Promise(() => {});
+
+        console.log(`🚨 Discord has been unreachable for ${Math.round(outageMs / 1000)}s - aborting; the next run resumes where this one stopped`);
+
+        await this.saveTrackingFiles();
+        this.printStats();
+        // Distinct exit code so a supervisor can tell an outage abort from a finished run
+        process.exit(2);
+    }
 
+    async loadTrackingFiles() {
+        try {
             if (await fs.pathExists(this.channelDatesFile)) {
                 const data = await fs.readJson(this.channelDatesFile);
-                this.channelDates = data;
-                console.log(`📋 Loaded ${Object.keys(data.dates).length} channel timestamps`);
+                this.channelDates = { threads: {}, cursors: {}, ...data };
+                const threadCount = Object.values(this.channelDates.threads).reduce((sum, threads) => sum + Object.keys(threads).length, 0);
+                console.log(`📋 Loaded ${Object.keys(data.dates).length} channel timestamps and ${threadCount} thread cursors`);
             } else {
                 console.log('📋 No channel dates found - starting fresh');
             }
 
-            if (await fs.pathExists(this.processedMessagesFile)) {
-                const data = await fs.readJson(this.processedMessagesFile);
-                const messages = Array.isArray(data) ? data : (data.messages || []);
-                this.processedMessages = new Set(messages);
-                console.log(`📋 Loaded ${messages.length} processed message IDs`);
+            // Range cursors only carry over to a rerun of the same range; any other range starts over
+            if (this.range && JSON.stringify(this.channelDates.range) !== JSON.stringify(this.rangeKey())) {
+                if (this.channelDates.range) {
+                    console.log(`📋 ${path.basename(this.channelDatesFile)} belongs to another range - starting this range fresh`);
+                }
+                this.channelDates = { range: this.rangeKey(), dates: {}, threads: {}, cursors: {}, lastUpdated: null };
+            } else if (this.range) {
+                console.log(`⏩ Resuming the interrupted range run (${Object.keys(this.channelDates.dates).length} channels already done)`);
+            }
+
+            const processedCount = await this.processedMessages.load();
+            if (processedCount > 0) {
+                console.log(`📋 Loaded ${processedCount} processed message IDs`);
             } else {
                 console.log('📋 No processed messages found - starting fresh');
             }
@@ -206,14 +357,25 @@ class DiscordMediaDownloaderEnhanced {
         }
     }
 
+    async loadChecksumIndex() {
+        try {
+            await this.checksumIndex.load();
+            console.log(`📋 Loaded ${Object.keys(this.checksumIndex.entries).length} content checksums`);
+        } catch (error) {
+            console.error('❌ Error loading checksum index:', error.message);
+        }
+    }
+
     async backupCorruptedFiles() {
         try {
             const timestamp = new Date().toISOString().replace(/:/g, '-');
             if (await fs.pathExists(this.channelDatesFile)) {
                 await fs.copy(this.channelDatesFile, `${this.channelDatesFile}.corrupted.${timestamp}`);
             }
-            if (await fs.pathExists(this.processedMessagesFile)) {
-                await fs.copy(this.processedMessagesFile, `${this.processedMessagesFile}.corrupted.${timestamp}`);
+            for (const file of this.processedMessages.files) {
+                if (await fs.pathExists(file)) {
+                    await fs.copy(file, `${file}.corrupted.${timestamp}`);
+                }
             }
             console.log(`📁 Backed up potentially corrupted files`);
         } catch (backupError) {
@@ -221,75 +383,258 @@ class DiscordMediaDownloaderEnhanced {
         }
     }
 
-    async saveTrackingFiles() {
+    saveTrackingFiles() {
+        this.saveQueue = this.saveQueue.catch(() => {}).then(() => this.writeTrackingFiles());
+        return this.saveQueue;
+    }
+
+    async writeTrackingFiles() {
         try {
-            await fs.writeJson(this.channelDatesFile, this.channelDates, { spaces: 2 });
-
-            // Save processed messages in batches to handle large sets
-            const messages = Array.from(this.processedMessages);
-            const batchSize = 10000;
-            for (let i = 0; i < messages.length; i += batchSize) {
-                const batch = messages.slice(i, i + batchSize);
-                if (i === 0) {
-                    await fs.writeJson(this.processedMessagesFile, { messages: batch }, { spaces: 2 });
-                } else {
-                    // Append to existing file for large sets
-                    const existing = await fs.readJson(this.processedMessagesFile);
-                    existing.messages.push(...batch);
-                    await fs.writeJson(this.processedMessagesFile, existing, { spaces: 2 });
-                }
-            }
+            await writeJsonAtomic(this.channelDatesFile, this.channelDates);
+
+            // Only IDs added since the last save are written (append-only store)
+            await this.processedMessages.flush();
+
+            await this.checksumIndex.save();
         } catch (error) {
             console.error('❌ Error saving tracking files:', error.message);
             this.stats.errors++;
         }
     }
 
-    async startDownload() {
-        let channelIds = Object.keys(this.channelDates.dates);
+    // includeChannels plus the channels of every configured guild, minus excludeChannels
+    async resolveChannels() {
+        // --channels names exactly what a range run crawls
+        if (this.range?.channels) return this.range.channels;
 
-        if (channelIds.length === 0) {
-            const guildId = process.env.GUILD_ID;
-            if (!guildId) {
-                console.log('⚠️  No channels configured and no GUILD_ID in .env');
-                process.exit(1);
-            }
+        const { guilds, includeChannels, excludeChannels } = this.config;
+        const channelIds = new Set(includeChannels);
+
+        for (const guildId of guilds) {
             const guild = this.client.guilds.cache.get(guildId);
             if (!guild) {
-                console.log(`⚠️  Guild ${guildId} not found`);
-                process.exit(1);
+                console.log(`⚠️  Guild ${guildId} not found - is the bot a member?`);
+                continue;
             }
-            const channels = await guild.channels.fetch();
+            const channels = await this.retryOperation(() => guild.channels.fetch(), `fetch channels of guild ${guildId}`);
+            let discovered = 0;
             for (const [id, ch] of channels) {
-                if (ch && ch.isTextBased() && !ch.isThread()) {
-                    this.channelDates.dates[id] = null;
+                // Text and announcement channels, plus forum/media channels whose posts are threads.
+                // Threads themselves are crawled under their parent.
+                if (ch && !ch.isThread() && (ch.isTextBased() || ch.isThreadOnly())) {
+                    channelIds.add(id);
+                    discovered++;
                 }
             }
-            await this.saveTrackingFiles();
-            channelIds = Object.keys(this.channelDates.dates);
-            console.log(`📡 Auto-discovered ${channelIds.length} text channels from guild "${guild.name}"`);
+            console.log(`📡 Discovered ${discovered} text, announcement and forum channels in guild "${guild.name}"`);
         }
 
-        console.log(`\n🔄 Processing ${channelIds.length} channels with enhanced error handling...\n`);
+        // Older setups listed their channels only in channel_dates.json
+        if (guilds.length === 0 && includeChannels.length === 0 && !this.range) {
+            const legacy = Object.keys(this.channelDates.dates);
+            if (legacy.length > 0) {
+                console.log(`⚠️  No guilds or channels configured - using the ${legacy.length} channels found in channel_dates.json. Move them to includeChannels in downloader-config.json.`);
+            }
+            legacy.forEach(id => channelIds.add(id));
+        }
+
+        for (const id of excludeChannels) channelIds.delete(id);
+        return [...channelIds];
+    }
+
+    async startDownload() {
+        this.channelIds = await this.resolveChannels();
+
+        if (this.channelIds.length === 0) {
+            console.log('⚠️  No channels to crawl - set guilds or includeChannels in downloader-config.json (or GUILD_ID in .env)');
+            process.exit(1);
+        }
+
+        // Channels an interrupted run of the same range already finished
+        const channelIds = this.range
+            ? this.channelIds.filter(channelId => !this.channelDates.dates[channelId])
+            : this.channelIds;
+
+        const interrupted = Object.values(this.channelDates.cursors).filter(cursor => cursor.beforeId && cursor.newestId).length;
+        if (interrupted > 0) {
+            console.log(`⏩ ${interrupted} interrupted channel/thread crawls will resume where they stopped`);
+        }
 
-        for (const channelId of channelIds) {
+        console.log(`\n🔄 Processing ${channelIds.length} channels (${this.concurrency.channels} at a time, ${this.concurrency.downloads} parallel downloads) with enhanced error handling...\n`);
+
+        this.crawlStatus = new Map(channelIds.map(channelId => [channelId, { name: channelId, phase: 'pending' }]));
+        const startedAt = Date.now();
+        const progressTimer = setInterval(() => this.printProgress(startedAt), 15000);
+
+        try {
+            await mapLimited(channelIds, this.concurrency.channels, async (channelId) => {
+                const status = this.crawlStatus.get(channelId);
+                try {
+                    await this.downloadFromChannel(channelId);
+                    status.phase = 'done';
+                    this.backfilledChannels.add(channelId);
+                    // Save progress after each channel
+                    await this.saveTrackingFiles();
+                    console.log(`💾 Progress saved after processing channel ${status.name}`);
+                } catch (error) {
+                    status.phase = 'failed';
+                    if (error.outage) {
+                        await this.abortForOutage(error.outageMs);
+                    }
+                    console.error(`❌ Critical error in channel ${channelId}:`, error.message);
+                    this.stats.errors++;
+                    // Continue with the other channels instead of failing completely
+                }
+            });
+        } finally {
+            clearInterval(progressTimer);
+        }
+
+        this.channelDates.lastUpdated = new Date().toISOString();
+        await this.saveTrackingFiles();
+
+        this.printStats();
+
+        // A finished range leaves nothing behind; failed channels keep it so a rerun can finish them
+        if (this.range) {
+            const unfinished = channelIds.filter(channelId => this.crawlStatus.get(channelId).phase !== 'done');
+            if (unfinished.length === 0) {
+                await fs.remove(this.channelDatesFile);
+            } else {
+                console.log(`\n⚠️  ${unfinished.length} channels did not finish - run the same range again to complete them`);
+            }
+        }
+
+        if (this.mode === 'watch') {
+            console.log(this.watchState.crawlAborted
+                ? `\n👀 Backfill stopped by the outage - still watching ${channelIds.length} channels, resuming once Discord reconnects\n`
+                : `\n👀 Backfill complete - watching ${channelIds.length} channels for new media (Ctrl+C to stop)\n`);
+            return;
+        }
+        process.exit(0);
+    }
+
+    // Run live events and backfills one after another so a message is never handled twice at once
+    enqueue(task, description) {
+        this.watchState.queue = this.watchState.queue.then(task).catch(error => {
+            console.error(`❌ Error while ${description}:`, error.message);
+            this.stats.errors++;
+        });
+        return this.watchState.queue;
+    }
+
+    startWatch() {
+        this.client.on('messageCreate', (message) => {
+            this.enqueue(() => this.handleLiveMessage(message), `handling message ${message.id}`);
+        });
+
+        // Link embeds usually arrive as an edit a moment after the message itself
+        this.client.on('messageUpdate', (oldMessage, newMessage) => {
+            if (oldMessage.content === newMessage.content && oldMessage.embeds.length === newMessage.embeds.length) return;
+            this.enqueue(() => this.handleLiveEdit(oldMessage, newMessage), `handling edit of message ${newMessage.id}`);
+        });
+
+        // Reconnects are picked up by markShardUp(), which queues a gap backfill
+
+        process.once('SIGINT', () => this.stopWatch());
+        process.once('SIGTERM', () => this.stopWatch());
+
+        // Backfill first; live events queue up behind it
+        return this.enqueue(() => this.startDownload(), 'backfilling history');
+    }
+
+    async stopWatch() {
+        console.log('\n🛑 Stopping watch mode - finishing queued messages...');
+        await this.watchState.queue;
+        this.channelDates.lastUpdated = new Date().toISOString();
+        await this.saveTrackingFiles();
+        this.printStats();
+        await this.client.destroy();
+        process.exit(0);
+    }
+
+    // Channels being watched: the configured ones, plus threads and forum posts under them
+    isWatchedChannel(channel) {
+        if (!channel) return false;
+        const channelId = channel.isThread?.() ? channel.parentId : channel.id;
+        return this.channelIds.includes(channelId);
+    }
+
+    async handleLiveMessage(message) {
+        if (!this.isWatchedChannel(message.channel) || this.processedMessages.has(message.id)) return;
+
+        this.stats.totalMessages++;
+        this.stats.liveMessages++;
+        await this.processMessage(message);
+        this.processedMessages.add(message.id);
+        if (this.isBackfilled(message.channel)) {
+            this.advanceCursor(message.channel, message.id);
+        }
+    }
+
+    isBackfilled(channel) {
+        return this.backfilledChannels.has(channel.isThread?.() ? channel.parentId : channel.id);
+    }
+
+    async handleLiveEdit(oldMessage, newMessage) {
+        if (!this.isWatchedChannel(newMessage.channel)) return;
+
+        // Only media the edit added; what the original message had is already saved
+        const knownUrls = new Set(collectMediaSources(oldMessage).map(source => source.url));
+        this.stats.liveEdits++;
+        await this.processMessage(newMessage, { knownUrls });
+    }
+
+    // Events sent while disconnected are lost; crawl each channel back to just before the drop
+    async backfillGap(since) {
+        // A minute of overlap covers events in flight when the connection dropped
+        const stopAtTimestamp = since - 60000;
+        const stopAtSnowflake = this.timestampToSnowflake(stopAtTimestamp);
+        console.log(`🩹 Reconnected - backfilling messages since ${new Date(stopAtTimestamp).toISOString()}`);
+        this.stats.gapBackfills++;
+
+        for (const channelId of this.channelIds) {
             try {
-                await this.downloadFromChannel(channelId);
-                // Save progress after each channel
-                await this.saveTrackingFiles();
-                console.log(`💾 Progress saved after processing channel ${channelId}`);
+                const channel = await this.retryOperation(
+                    () => this.client.channels.fetch(channelId),
+                    `fetch channel ${channelId}`
+                );
+                if (!channel) continue;
+
+                if (channel.isTextBased()) {
+                    const { messageCount, newestId } = await this.crawlMessages(channel, { stopAtMessageId: stopAtSnowflake });
+                    if (this.isBackfilled(channel)) this.advanceCursor(channel, newestId);
+                    if (messageCount > 0) {
+                        console.log(`   ✅ ${channel.name || channelId}: ${messageCount} missed messages`);
+                    }
+                }
+                // Thread crawls move thread cursors; an unfinished channel's threads wait for the next run
+                if (channel.threads && this.isBackfilled(channel)) {
+                    await this.downloadThreads(channel, { stopAtTimestamp });
+                }
             } catch (error) {
-                console.error(`❌ Critical error in channel ${channelId}:`, error.message);
+                if (error.outage) {
+                    await this.abortForOutage(error.outageMs);
+                }
+                console.error(`❌ Backfill failed for channel ${channelId}:`, error.message);
                 this.stats.errors++;
-                // Continue with next channel instead of failing completely
             }
         }
 
-        this.channelDates.lastUpdated = new Date().toISOString();
         await this.saveTrackingFiles();
+    }
 
-        this.printStats();
-        process.exit(0);
+    // Move a channel's stop snowflake (or a thread's cursor) forward to a message known to be processed
+    advanceCursor(channel, messageId) {
+        if (!messageId) return;
+
+        if (channel.isThread?.()) {
+            const cursors = this.channelDates.threads[channel.parentId] = this.channelDates.threads[channel.parentId] || {};
+            const entry = cursors[channel.id] || { cursor: null, name: channel.name, archived: false };
+            cursors[channel.id] = { ...entry, cursor: this.newerSnowflake(entry.cursor, messageId), name: channel.name };
+        } else {
+            this.channelDates.dates[channel.id] = this.newerSnowflake(this.channelDates.dates[channel.id], messageId);
+        }
     }
 
     async downloadFromChannel(channelId) {
@@ -299,55 +644,134 @@ class DiscordMediaDownloaderEnhanced {
                 `fetch channel ${channelId}`
             );
 
-            if (!channel || !channel.isTextBased()) {
+            if (!channel || !(channel.isTextBased() || channel.isThreadOnly())) {
                 console.log(`⚠️  Channel ${channelId} not found or not text-based`);
                 return;
             }
 
             console.log(`📢 Fetching from: ${channel.name || channelId}`);
+            const status = this.crawlStatus.get(channelId) || {};
+            Object.assign(status, { name: channel.name || channelId, phase: 'messages' });
 
-            // Start from the most recent messages in the channel and work backwards
-            let beforeId = null;
+            // A range run walks exactly its window; a regular run stops at the channel's stop snowflake
+            const bounds = { stopAtTimestamp: null, stopAtMessageId: null, beforeId: null };
+            const cutoff = this.cutoffFor(channelId);
             const stopAtMessageId = this.channelDates.dates[channelId];
-            console.log(`   Starting from most recent messages and working backwards`);
-
-            // Convert the stopping snowflake to timestamp for proper date comparison
-            let stopAtTimestamp = null;
-            if (stopAtMessageId && stopAtMessageId !== "1759615200000") {
-                stopAtTimestamp = this.snowflakeToTimestamp(stopAtMessageId);
-                console.log(`   Will stop at messages older than: ${new Date(stopAtTimestamp).toISOString()}`);
+            if (this.range) {
+                Object.assign(bounds, { stopAtMessageId: this.range.afterId, beforeId: this.range.beforeId });
+                console.log(`   Will process ${this.describeRange()}`);
+            // A stop snowflake older than the lookback window (e.g. from before it was shortened) stops at the cutoff
+            } else if (stopAtMessageId && this.snowflakeToTimestamp(stopAtMessageId) > cutoff) {
+                // Convert the stopping snowflake to timestamp for proper date comparison
+                bounds.stopAtTimestamp = this.snowflakeToTimestamp(stopAtMessageId);
+                console.log(`   Will stop at messages older than: ${new Date(bounds.stopAtTimestamp).toISOString()}`);
             } else {
-                console.log(`   Will process until 60-day cutoff`);
+                bounds.stopAtTimestamp = cutoff;
+                console.log(`   Will process until cutoff: ${new Date(cutoff).toISOString()}`);
+            }
+
+            // Forum and media channels have no messages of their own - every post is a thread
+            if (channel.isTextBased()) {
+                console.log(`   Starting from ${bounds.beforeId ? `before ${new Date(this.range.until).toISOString()}` : 'most recent messages'} and working backwards`);
+                status.stopTs = bounds.stopAtTimestamp ?? cutoff;
+                const { messageCount, newestId } = await this.crawlMessages(channel, bounds);
+                console.log(`   ✅ ${channel.name || channelId}: processed ${messageCount} new messages\n`);
+
+                // The whole channel has been walked: the next run (or live messages) continue from here
+                this.advanceCursor(channel, newestId);
+            }
+
+            if (channel.threads) {
+                status.phase = 'threads';
+                await this.downloadThreads(channel, bounds);
             }
 
-            let messageCount = 0;
-            let consecutiveEmptyFetches = 0;
-            const maxEmptyFetches = 3;
+        } catch (error) {
+            console.error(`❌ Error in channel ${channelId}:`, error.message);
+            this.stats.errors++;
+            throw error; // Re-throw to be handled by startDownload
+        }
+    }
+
+    // Walk a channel's (or thread's) messages from newest (or from just below `beforeId`) to oldest,
+    // stopping at the stop timestamp or, for threads, at the resume cursor. Returns the newest message ID seen.
+    //
+    // The position is kept in channelDates.cursors while the walk runs, so a run that dies
+    // halfway continues from the saved `beforeId` instead of re-paging the whole channel.
+    async crawlMessages(channel, { stopAtTimestamp = null, stopAtMessageId = null, beforeId = null } = {}) {
+        const cursors = this.channelDates.cursors;
+        // A cursor without a newestId never got past its first fetch - nothing to resume
+        const saved = cursors[channel.id]?.beforeId && cursors[channel.id]?.newestId ? cursors[channel.id] : null;
+
+        let messageCount = 0;
+        let newestId = null;
+
+        if (saved) {
+            console.log(`   ⏩ Resuming interrupted crawl before ${saved.beforeId} (${new Date(this.snowflakeToTimestamp(saved.beforeId)).toISOString()})`);
+
+            // Messages posted since then first, down to where the interrupted crawl started
+            const head = await this.walkMessages(channel, {
+                stopAtTimestamp,
+                stopAtMessageId: this.newerSnowflake(stopAtMessageId, saved.newestId),
+                beforeId
+            });
+            messageCount += head.messageCount;
+            newestId = head.newestId;
+        }
+
+        const progress = cursors[channel.id] = saved || {
+            parentId: channel.isThread?.() ? channel.parentId : null,
+            newestId: null,
+            beforeId,
+            startedAt: new Date().toISOString()
+        };
+
+        const rest = await this.walkMessages(channel, { stopAtTimestamp, stopAtMessageId, progress });
+        messageCount += rest.messageCount;
+
+        // Finished: the caller advances the channel's stop snowflake or the thread's cursor instead
+        delete cursors[channel.id];
+
+        return { messageCount, newestId: this.newerSnowflake(newestId, progress.newestId) };
+    }
+
+    // One newest-to-oldest pass, starting below `beforeId` (or at the newest message). With `progress`, the walk
+    // starts at progress.beforeId instead and records the newest message seen and, after each finished batch,
+    // the next `before` to fetch.
+    async walkMessages(channel, { stopAtTimestamp = null, stopAtMessageId = null, beforeId = null, progress = null }) {
+        const stopAtId = stopAtMessageId ? BigInt(stopAtMessageId) : null;
+        const isBeyondStop = (message) =>
+            (stopAtTimestamp && message.createdTimestamp < stopAtTimestamp) ||
+            (stopAtId !== null && BigInt(message.id) <= stopAtId);
+
+        let messageCount = 0;
+        let newestId = null;
+        let consecutiveEmptyFetches = 0;
+        const maxEmptyFetches = 3;
+
+        const position = progress || { newestId: null, beforeId };
+        const status = this.crawlStatus.get(channel.id);
+        this.activeCrawls.add(position);
 
-            // Fetch messages with retry logic (starting from most recent)
+        try {
+            // Fetch messages with retry logic (starting from most recent, or the saved position)
+            await this.waitForConnection(position);
+            const firstBeforeId = position.beforeId;
             let messages = await this.retryOperation(
-                () => {
-                    const options = { limit: 100 };
-                    if (beforeId) {
-                        options.before = beforeId;
-                    }
-                    return channel.messages.fetch(options);
-                },
-                `fetch initial messages from channel ${channelId}`
+                () => channel.messages.fetch(firstBeforeId ? { limit: 100, before: firstBeforeId } : { limit: 100 }),
+                `fetch initial messages from channel ${channel.id}`
             );
 
             while (messages.size > 0) {
                 const oldestMessage = messages.last();
+                newestId = newestId || messages.first().id;
+                position.newestId = position.newestId || newestId;
 
-                // Stop if the oldest message is older than our cutoff date
-                if (stopAtTimestamp && oldestMessage.createdTimestamp < stopAtTimestamp) {
-                    console.log(`   🎯 Reached messages older than cutoff (${new Date(oldestMessage.createdTimestamp).toISOString()}) - stopping for this channel`);
-                    break;
-                }
-
+                // The batch's media downloads run in parallel (bounded by downloadLimit)
+                const pending = [];
                 for (const message of messages.values()) {
                     // Skip if this message is older than our cutoff
-                    if (stopAtTimestamp && message.createdTimestamp < stopAtTimestamp) {
+                    if (isBeyondStop(message)) {
                         continue;
                     }
 
@@ -358,9 +782,19 @@ class DiscordMediaDownloaderEnhanced {
                     this.stats.totalMessages++;
                     messageCount++;
 
-                    await this.processMessage(message);
+                    pending.push(this.processMessage(message).then(() => this.processedMessages.add(message.id)));
+                }
+                await Promise.all(pending);
 
-                    this.processedMessages.add(message.id);
+                if (status) {
+                    status.newestTs = status.newestTs || messages.first().createdTimestamp;
+                    status.reachedTs = oldestMessage.createdTimestamp;
+                }
+
+                // Stop if the oldest message is older than our cutoff date
+                if (isBeyondStop(oldestMessage)) {
+                    console.log(`   🎯 Reached messages older than cutoff (${new Date(oldestMessage.createdTimestamp).toISOString()}) - stopping for this channel`);
+                    break;
                 }
 
                 if (messages.size < 100) {
@@ -373,27 +807,113 @@ class DiscordMediaDownloaderEnhanced {
                     consecutiveEmptyFetches = 0;
                 }
 
-                // Use the oldest message to get the next batch (going backwards in time)
-                beforeId = oldestMessage.id;
+                // Use the oldest message to get the next batch (going backwards in time).
+                // Everything newer is done, so this is where an interrupted run picks up.
+                const beforeId = oldestMessage.id;
+                position.beforeId = beforeId;
+                position.updatedAt = new Date().toISOString();
+                await this.waitForConnection(position);
                 messages = await this.retryOperation(
                     () => channel.messages.fetch({ limit: 100, before: beforeId }),
-                    `fetch next batch of messages from channel ${channelId}`
+                    `fetch next batch of messages from channel ${channel.id}`
                 );
             }
+        } finally {
+            this.activeCrawls.delete(position);
+        }
 
-            console.log(`   ✅ Processed ${messageCount} new messages\n`);
+        return { messageCount, newestId };
+    }
 
-        } catch (error) {
-            console.error(`❌ Error in channel ${channelId}:`, error.message);
-            this.stats.errors++;
-            throw error; // Re-throw to be handled by startDownload
+    // Active threads plus public and private archived threads of a text, announcement or forum channel
+    async listThreads(channel) {
+        const threads = new Map();
+
+        const active = await this.retryOperation(
+            () => channel.threads.fetchActive(),
+            `fetch active threads of ${channel.id}`
+        );
+        for (const [id, thread] of active.threads) threads.set(id, thread);
+
+        for (const type of ['public', 'private']) {
+            let before;
+            try {
+                while (true) {
+                    const fetchPage = () => channel.threads.fetchArchived({ type, fetchAll: true, before, limit: 100 });
+                    // A missing permission for private threads should not be retried
+                    const archived = type === 'public'
+                        ? await this.retryOperation(fetchPage, `fetch ${type} archived threads of ${channel.id}`)
+                        : await fetchPage();
+                    for (const [id, thread] of archived.threads) threads.set(id, thread);
+
+                    // Newest-archived first: anything archived before the cutoff has nothing new
+                    const oldest = archived.threads.last();
+                    if (!archived.hasMore || !oldest || oldest.archiveTimestamp < this.cutoffFor(channel.id)) break;
+                    before = oldest.archiveTimestamp;
+                }
+            } catch (error) {
+                // Private archived threads need Manage Threads; public ones should always be readable
+                if (error.code === 50001 || error.code === 50013) {
+                    console.log(`   🔒 No access to ${type} archived threads of ${channel.name || channel.id}`);
+                } else {
+                    throw error;
+                }
+            }
+        }
+
+        return [...threads.values()];
+    }
+
+    // bounds: { stopAtTimestamp, stopAtMessageId, beforeId } of the parent channel's crawl
+    async downloadThreads(channel, { stopAtTimestamp = null, stopAtMessageId = null, beforeId = null } = {}) {
+        const threads = await this.listThreads(channel);
+        if (threads.length === 0) return;
+
+        console.log(`   🧵 ${threads.length} threads under ${channel.name || channel.id}`);
+        const cursors = this.channelDates.threads[channel.id] = this.channelDates.threads[channel.id] || {};
+
+        for (const thread of threads) {
+            const cursor = cursors[thread.id]?.cursor || null;
+
+            // Nothing posted since the last crawl, archived before the cutoff, or created after the range ends
+            if ((cursor && thread.lastMessageId && BigInt(thread.lastMessageId) <= BigInt(cursor)) ||
+                (thread.archived && thread.archiveTimestamp < this.cutoffFor(channel.id)) ||
+                (beforeId && BigInt(thread.id) >= BigInt(beforeId))) {
+                this.stats.threadsUpToDate++;
+                continue;
+            }
+
+            try {
+                // A thread without a cursor has never been crawled: walk back to the lookback cutoff
+                // (or the range start), not to where the parent channel's last crawl stopped
+                const { messageCount, newestId } = await this.crawlMessages(thread, {
+                    stopAtTimestamp: cursor ? stopAtTimestamp : this.cutoffFor(channel.id),
+                    stopAtMessageId: this.newerSnowflake(cursor, stopAtMessageId),
+                    beforeId
+                });
+                this.stats.threadsScanned++;
+
+                // Only advance the cursor once the whole thread has been walked
+                cursors[thread.id] = {
+                    cursor: this.newerSnowflake(cursor, newestId),
+                    name: thread.name,
+                    archived: Boolean(thread.archived)
+                };
+                console.log(`      🧵 ${thread.name}: ${messageCount} new messages`);
+            } catch (error) {
+                if (error.outage) throw error;
+                console.error(`      ❌ Error in thread ${thread.name || thread.id}:`, error.message);
+                this.stats.errors++;
+            }
         }
     }
 
-    async processMessage(message) {
-        // Check if message is within the 20-day window FIRST (before any other processing)
+    // knownUrls: media already handled for this message (edits only download what they added)
+    async processMessage(message, { knownUrls = null } = {}) {
+        // Check if message is within the channel's lookback window FIRST (before any other processing)
         const messageDate = message.createdTimestamp;
-        if (messageDate < this.dateFilterConfig.cutoffDate) {
+        const channelId = message.channel?.isThread?.() ? message.channel.parentId : message.channelId;
+        if (messageDate < this.cutoffFor(channelId)) {
             this.stats.oldMessagesFiltered++;
             // Log filtering every 1000 messages to avoid spam
             if (this.stats.oldMessagesFiltered % 1000 === 0) {
@@ -403,91 +923,506 @@ class DiscordMediaDownloaderEnhanced {
             return;
         }
 
-        // Only process messages with attachments
-        if (message.attachments.size === 0) return;
+        // Attachments, embeds, stickers and direct media links
+        const sources = collectMediaSources(message).filter(source => !knownUrls?.has(source.url));
+        if (sources.length === 0) return;
 
-        for (const attachment of message.attachments.values()) {
-            await this.downloadAttachment(attachment, message);
-        }
+        await Promise.all(sources.map(media => this.downloadLimit(() => this.downloadMedia(media, message))));
     }
 
-    async downloadAttachment(attachment, message) {
-        const ext = path.extname(attachment.name || attachment.url).toLowerCase();
-        const isImage = ['.png', '.jpg', '.jpeg', '.gif', '.webp'].includes(ext);
-        const isVideo = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.flv', '.wmv', '.m4v', '.3gp'].includes(ext);
-
-        if (!isImage && !isVideo) return;
+    // Provisional name; the folder and extension are settled from the bytes once downloaded
+    resolveMediaTarget(media, message) {
+        if (!mayBeMedia({ contentType: media.contentType, name: media.name })) return null;
 
         const timestamp = new Date(message.createdTimestamp).toISOString().replace(/:/g, '-').split('.')[0] + 'Z';
         const hash = message.id.slice(-8);
-        const sanitizedName = (attachment.name || 'media').replace(/[^a-zA-Z0-9._-]/g, '_');
-        const fileName = `${timestamp}_${hash}_${sanitizedName}`;
+        const sanitizedName = this.sanitizeMediaName(media);
+        // Two attachments pasted as "image.png" in one message must not share a name
+        const sourceId = String(media.id ?? 'media');
+        const sourceTag = (/^\d+$/.test(sourceId) ? sourceId.slice(-8) : sourceId).replace(/[^a-zA-Z0-9._-]/g, '_');
 
-        const targetDir = isImage ? this.imagesDir : this.videosDir;
-        const filePath = path.join(targetDir, fileName);
+        return { fileName: `${timestamp}_${hash}_${sourceTag}_${sanitizedName}`, subDir: this.layoutDirFor(message) };
+    }
 
-        try {
-            // Enhanced download with retry and better error handling
-            const response = await this.retryOperation(
-                () => axios.get(attachment.url, {
-                    responseType: 'arraybuffer',
-                    timeout: 60000, // Increased timeout for slow connections
-                    validateStatus: (status) => status < 400 // Accept any 2xx/3xx status
-                }),
-                `download attachment ${fileName}`,
-                true // Use longer delays for file downloads
-            );
+    // Sub-directory from outputLayout; threads file under their parent channel
+    layoutDirFor(message) {
+        const { channel } = message;
+        const parentId = channel?.isThread?.() ? channel.parentId : null;
+        const overrides = this.config.channelOverrides;
+        const layout = overrides[message.channelId]?.outputLayout
+            ?? (parentId ? overrides[parentId]?.outputLayout : undefined)
+            ?? this.config.outputLayout;
+
+        return renderOutputLayout(layout, {
+            guild: message.guild,
+            channel: parentId ? (channel.parent || { id: parentId }) : channel,
+            date: new Date(message.createdTimestamp)
+        });
+    }
 
-            await fs.writeFile(filePath, response.data);
+    placeMedia(target, mediaType) {
+        const fileName = correctExtension(target.fileName, mediaType);
+        const targetDir = mediaType.kind === 'image' ? this.imagesDir : this.videosDir;
+        return { fileName, filePath: path.join(targetDir, target.subDir || '', fileName) };
+    }
 
-            if (isImage) {
-                this.stats.imagesSaved++;
-                console.log(`   📸 Image: ${fileName}`);
-            } else {
-                this.stats.videosSaved++;
-                console.log(`   🎬 Video: ${fileName}`);
-            }
+    // Non-attachment sources get a prefix so an embed cannot overwrite an attachment of the same name
+    // Long names (Discord keeps whole signed-URL blobs as names) are cut down, keeping the extension
+    sanitizeMediaName(media) {
+        const name = media.sourceType === 'attachment' ? media.name : `${media.sourceType}_${media.name}`;
+        const sanitized = (name || 'media').replace(/[^a-zA-Z0-9._-]/g, '_');
+        if (sanitized.length <= MAX_MEDIA_NAME_LENGTH) return sanitized;
 
-            this.stats.newMessages++;
+        const ext = path.extname(sanitized).slice(0, 10);
+        return sanitized.slice(0, MAX_MEDIA_NAME_LENGTH - ext.length) + ext;
+    }
 
+    async downloadMedia(media, message) {
+        const target = this.resolveMediaTarget(media, message);
+        if (!target) return;
+
+        try {
+            const result = await this.saveMedia(media, target, message);
+            if (result?.skipped) {
+                await this.logFailedDownload({
+                    url: media.url,
+                    fileName: target.fileName,
+                    timestamp: new Date().toISOString(),
+                    messageId: message.id,
+                    channelId: message.channelId,
+                    sourceType: media.sourceType,
+                    mediaId: media.id,
+                    skipped: true,
+                    reason: result.reason
+                });
+            }
         } catch (error) {
-            console.error(`   ❌ Failed to download ${fileName}:`, error.message);
+            console.error(`   ❌ Failed to download ${target.fileName}:`, error.message);
             this.stats.errors++;
 
             // Save failed download info for retry later
             const failedDownload = {
-                url: attachment.url,
-                fileName,
+                url: media.url,
+                fileName: target.fileName,
                 timestamp: new Date().toISOString(),
                 error: error.message,
-                messageId: message.id
+                messageId: message.id,
+                channelId: message.channelId,
+                sourceType: media.sourceType,
+                mediaId: media.id
             };
 
             await this.logFailedDownload(failedDownload);
         }
     }
 
-    async logFailedDownload(failedDownload) {
+    // <file>.<pid>.part files left by a crashed run; a running downloader's own are left alone
+    async sweepPartialDownloads() {
+        const partials = [];
+        const walk = async (dir) => {
+            for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) await walk(entryPath);
+                else if (entry.name.endsWith('.part')) partials.push(entryPath);
+            }
+        };
+        for (const dir of new Set([this.imagesDir, this.videosDir])) {
+            if (await fs.pathExists(dir)) await walk(dir);
+        }
+
+        let removed = 0;
+        for (const file of partials) {
+            const pid = Number(/\.(\d+)\.part$/.exec(file)?.[1]);
+            if (pid && pid !== process.pid && this.isProcessRunning(pid)) continue;
+            await fs.remove(file);
+            removed++;
+        }
+        if (removed > 0) {
+            console.log(`🧹 Removed ${removed} incomplete downloads left by an earlier run`);
+        }
+    }
+
+    isProcessRunning(pid) {
+        try {
+            process.kill(pid, 0); // Signal 0 only checks that the process exists
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    // Why the config rules out media of this kind and size, or null when it is wanted
+    excludedBy(kind, size) {
+        if (kind && !this.config.mediaTypes.includes(kind)) return `${kind}s are not in mediaTypes`;
+
+        const limitBytes = this.sizeLimitFor(kind);
+        if (size && size > limitBytes) return this.oversizedReason(kind, size);
+
+        return null;
+    }
+
+    // Unknown kinds get the larger limit until the bytes say what they are
+    sizeLimitFor(kind) {
+        const limits = this.config.maxFileSizeMB;
+        return (kind ? limits[kind] : Math.max(limits.image, limits.video)) * 1024 * 1024;
+    }
+
+    // size is null when the download was cut off at the limit
+    oversizedReason(kind, size) {
+        const actual = size ? `${(size / 1024 / 1024).toFixed(1)} MB is` : 'Download is';
+        return `${actual} over the ${this.sizeLimitFor(kind) / 1024 / 1024} MB ${kind || 'media'} limit`;
+    }
+
+    // Skips are config or content decisions, not failures: returned as { skipped, reason } and never retried
+    skipMedia(target, reason, stat = 'filteredSkipped') {
+        this.stats[stat]++;
+        console.log(`   ⏭️  Skipped ${target.fileName}: ${reason}`);
+        return { skipped: true, reason };
+    }
+
+    async saveMedia(media, target, message) {
+        // Skip before downloading when Discord already tells us the type or size
+        const declared = typeFromContentType(media.contentType) || typeFromExtension(media.name);
+        const excluded = this.excludedBy(declared?.kind, media.size);
+        if (excluded) return this.skipMedia(target, excluded);
+
+        // Streamed next to where the file will most likely end up, then renamed into place
+        const declaredDir = declared?.kind === 'video' ? this.videosDir : this.imagesDir;
+        const tempPath = path.join(declaredDir, target.subDir || '', `${target.fileName}.${process.pid}.part`);
+
+        try {
+            const download = await this.retryOperation(
+                () => this.streamToFile(media, tempPath, this.sizeLimitFor(declared?.kind)),
+                `download ${media.sourceType} ${target.fileName}`,
+                true // Use longer delays for file downloads
+            );
+
+            // Too large is a config decision, not a failure: nothing to retry later
+            if (download.oversized) {
+                return this.skipMedia(target, this.oversizedReason(declared?.kind, download.size));
+            }
+
+            return await this.placeDownload(media, target, message, download, tempPath);
+        } finally {
+            // Already renamed away unless the file was skipped or the download failed
+            await fs.remove(tempPath);
+        }
+    }
+
+    /**
+     * Streams media to tempPath without holding it in memory. Reports { oversized } without
+     * downloading when the attachment's declared size or Content-Length is over maxBytes, and
+     * stops once the body passes it. A body that does not match Content-Length or the
+     * attachment's size throws, so the retry logic fetches it again.
+     */
+    async streamToFile(media, tempPath, maxBytes) {
+        const declaredSize = media.sourceType === 'attachment' ? media.size || null : null;
+        if (declaredSize && declaredSize > maxBytes) {
+            return { oversized: true, size: declaredSize };
+        }
+
+        const response = await axios.get(media.url, {
+            responseType: 'stream',
+            timeout: 60000, // Increased timeout for slow connections
+            headers: { 'Accept-Encoding': 'identity' }, // Content-Length must match the bytes we write
+            validateStatus: (status) => status < 400 // Accept any 2xx/3xx status
+        });
+
+        const contentLength = Number(response.headers?.['content-length']) || null;
+        if (contentLength && contentLength > maxBytes) {
+            response.data.destroy();
+            return { oversized: true, size: contentLength };
+        }
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        let head = Buffer.alloc(0);
+        const meter = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+                if (size > maxBytes) return callback(Object.assign(new Error('Download exceeds size limit'), { oversized: true }));
+
+                hash.update(chunk);
+                if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+                callback(null, chunk);
+            }
+        });
+
+        try {
+            await fs.ensureDir(path.dirname(tempPath));
+            await pipeline(response.data, meter, fs.createWriteStream(tempPath));
+        } catch (error) {
+            if (error.oversized) return { oversized: true, size: null };
+            if (LOCAL_FS_ERRORS.includes(error.code)) {
+                response.data.destroy();
+                error.retryable = false;
+            }
+            throw error;
+        }
+
+        for (const expected of [contentLength, declaredSize]) {
+            if (expected && size !== expected) {
+                throw new Error(`Download size mismatch: received ${size} bytes, expected ${expected}`);
+            }
+        }
+
+        return {
+            size,
+            head,
+            hash: hash.digest('hex'),
+            contentType: response.headers?.['content-type']?.split(';')[0] || null
+        };
+    }
+
+    // Deduplicates a finished download, then renames it to its final name and writes its sidecar
+    async placeDownload(media, target, message, download, tempPath) {
+        // Only the magic bytes count: an HTML error page served at a .png URL is not an image.
+        // A missing or wrong extension is corrected
+        const mediaType = sniffMediaType(download.head);
+        if (!mediaType) {
+            return this.skipMedia(target, `not an image or video (content does not match any media format; served as ${download.contentType || 'unknown type'})`, 'notMediaSkipped');
+        }
+
+        const excludedAfterDownload = this.excludedBy(mediaType.kind, download.size);
+        if (excludedAfterDownload) return this.skipMedia(target, excludedAfterDownload);
+
+        const { fileName, filePath } = this.placeMedia(target, mediaType);
+        if (fileName !== target.fileName) {
+            this.stats.extensionsCorrected++;
+            console.log(`   🔧 Detected ${mediaType.mime}: ${target.fileName} → ${fileName}`);
+        }
+
+        const contentHash = download.hash;
+        const type = mediaType.kind;
+
+        // The same content may be mid-write from a parallel download; wait for it to land in the index
+        while (this.inFlightHashes.has(contentHash)) {
+            await this.inFlightHashes.get(contentHash);
+        }
+        const source = { messageId: message.id, channelId: message.channelId, sourceType: media.sourceType };
+        if (media.sourceType !== 'attachment') source.sourceUrl = media.url;
+
+        // Skip content we already have; re-posts only get recorded against the original
+        const original = this.checksumIndex.get(contentHash);
+        if (original) {
+            this.checksumIndex.recordDuplicate(contentHash, { name: fileName, size: download.size, type, ...source });
+            this.stats.duplicatesSkipped++;
+            console.log(`   ♻️  Duplicate of ${original.name}: ${fileName}`);
+            return;
+        }
+
+        let release;
+        this.inFlightHashes.set(contentHash, new Promise(resolve => { release = resolve; }));
         try {
-            const failedDownloadsFile = path.join(__dirname, 'failed_downloads.json');
-            let failedDownloads = [];
+            await fs.ensureDir(path.dirname(filePath));
+            // A rename within one filesystem is atomic, so a crash never leaves half a file under the final name.
+            // Different content under the same name is never overwritten
+            if (await fs.pathExists(filePath)) {
+                throw new Error(`${fileName} already exists with different content`);
+            }
+            await fs.move(tempPath, filePath);
+            this.checksumIndex.recordOriginal(contentHash, { filePath, size: download.size, type, ...source });
+        } finally {
+            this.inFlightHashes.delete(contentHash);
+            release();
+        }
 
-            if (await fs.pathExists(failedDownloadsFile)) {
-                failedDownloads = await fs.readJson(failedDownloadsFile);
+        // Author, channel, caption and reactions live in a sidecar next to the file
+        await writeSidecar(filePath, buildMetadata(message, { ...media, contentType: mediaType.mime }, {
+            fileName,
+            size: download.size,
+            hash: contentHash
+        }));
+
+        this.stats.savedBySource[media.sourceType]++;
+        if (type === 'image') {
+            this.stats.imagesSaved++;
+            console.log(`   📸 Image: ${fileName}`);
+        } else {
+            this.stats.videosSaved++;
+            console.log(`   🎬 Video: ${fileName}`);
+        }
+
+        this.stats.newMessages++;
+    }
+
+    async loadFailedDownloads() {
+        if (!await fs.pathExists(this.failedDownloadsFile)) return [];
+        return fs.readJson(this.failedDownloadsFile);
+    }
+
+    // Serialized: parallel downloads failing at once must not overwrite each other's entries
+    logFailedDownload(failedDownload) {
+        this.failedLogQueue = this.failedLogQueue.then(() => this.appendFailedDownload(failedDownload));
+        return this.failedLogQueue;
+    }
+
+    async appendFailedDownload(failedDownload) {
+        try {
+            const failedDownloads = await this.loadFailedDownloads();
+
+            // Merge repeat failures of the same media into one entry
+            const existing = failedDownloads.find(entry =>
+                entry.messageId === failedDownload.messageId && entry.fileName === failedDownload.fileName
+            );
+
+            if (failedDownload.skipped) {
+                // Recorded so reports can tell skipped media from media never seen; retries leave it alone
+                if (existing) Object.assign(existing, failedDownload);
+                else failedDownloads.push(failedDownload);
+            } else if (existing) {
+                Object.assign(existing, { url: failedDownload.url, channelId: failedDownload.channelId, sourceType: failedDownload.sourceType, mediaId: failedDownload.mediaId });
+                this.recordFailedAttempt(existing, failedDownload.error);
+            } else {
+                failedDownloads.push({
+                    ...failedDownload,
+                    attempts: 1,
+                    errors: [{ timestamp: failedDownload.timestamp, error: failedDownload.error }],
+                    dead: false
+                });
             }
 
-            failedDownloads.push(failedDownload);
-            await fs.writeJson(failedDownloadsFile, failedDownloads, { spaces: 2 });
+            await fs.writeJson(this.failedDownloadsFile, failedDownloads, { spaces: 2 });
         } catch (error) {
             console.error('❌ Failed to log failed download:', error.message);
         }
     }
 
+    recordFailedAttempt(entry, errorMessage, permanent = false) {
+        const timestamp = new Date().toISOString();
+
+        // Entries logged before attempt tracking existed count as one attempt
+        entry.attempts = (entry.attempts || 1) + 1;
+        entry.errors = [...(entry.errors || [{ timestamp: entry.timestamp, error: entry.error }]), { timestamp, error: errorMessage }]
+            .slice(-this.failedDownloadConfig.maxErrorHistory);
+        entry.error = errorMessage;
+        entry.timestamp = timestamp;
+
+        if (permanent || entry.attempts >= this.failedDownloadConfig.maxAttempts) {
+            entry.dead = true;
+            entry.deadAt = timestamp;
+        }
+    }
+
+    parseAttachmentUrl(url) {
+        // CDN URLs look like https://cdn.discordapp.com/attachments/<channelId>/<attachmentId>/<name>
+        const match = /\/attachments\/(\d+)\/(\d+)\//.exec(url || '');
+        return match ? { channelId: match[1], attachmentId: match[2] } : {};
+    }
+
+    async startRetryFailed() {
+        try {
+            await this.retryFailedDownloads();
+        } catch (error) {
+            console.error('❌ Failed to process retry queue:', error.message);
+            this.stats.errors++;
+        }
+
+        await this.checksumIndex.save();
+        this.printStats();
+        process.exit(0);
+    }
+
+    async retryFailedDownloads() {
+        const failedDownloads = await this.loadFailedDownloads();
+        const pending = failedDownloads.filter(entry => !entry.dead && !entry.skipped);
+        const skipped = failedDownloads.filter(entry => entry.skipped).length;
+
+        console.log(`\n🔁 Retrying ${pending.length} failed downloads (${failedDownloads.length - pending.length - skipped} already marked dead, ${skipped} skipped on purpose)...\n`);
+
+        const remaining = [];
+        for (let i = 0; i < failedDownloads.length; i++) {
+            const entry = failedDownloads[i];
+            if (entry.dead || entry.skipped) {
+                remaining.push(entry);
+                continue;
+            }
+
+            this.stats.failedRetried++;
+            const recovered = await this.retryFailedDownload(entry);
+
+            if (recovered) {
+                this.stats.failedRecovered++;
+            } else {
+                remaining.push(entry);
+                if (entry.dead) {
+                    this.stats.failedDead++;
+                    console.log(`   💀 Giving up on ${entry.fileName} after ${entry.attempts} attempts`);
+                }
+            }
+
+            // Persist after every entry so an interrupted run keeps its progress
+            await fs.writeJson(this.failedDownloadsFile, [...remaining, ...failedDownloads.slice(i + 1)], { spaces: 2 });
+        }
+
+        console.log(`\n✅ Recovered ${this.stats.failedRecovered}/${pending.length} failed downloads`);
+    }
+
+    async retryFailedDownload(entry) {
+        const parsed = this.parseAttachmentUrl(entry.url);
+        const channelId = entry.channelId || parsed.channelId;
+        // Entries logged before other media sources existed only carry an attachmentId
+        const mediaId = entry.mediaId || entry.attachmentId || parsed.attachmentId;
+
+        try {
+            if (!channelId) {
+                throw Object.assign(new Error('Cannot determine channel for failed download'), { permanent: true });
+            }
+
+            const channel = await this.retryOperation(
+                () => this.client.channels.fetch(channelId),
+                `fetch channel ${channelId}`
+            );
+
+            if (!channel || !channel.isTextBased()) {
+                throw Object.assign(new Error(`Channel ${channelId} not found or not text-based`), { permanent: true });
+            }
+
+            // Re-fetch the message to get a fresh (non-expired) CDN URL
+            const message = await this.retryOperation(
+                () => channel.messages.fetch(entry.messageId),
+                `fetch message ${entry.messageId}`
+            );
+
+            const sources = collectMediaSources(message);
+            const media = sources.find(candidate => candidate.id === mediaId) ||
+                sources.find(candidate => entry.fileName.endsWith(`_${this.sanitizeMediaName(candidate)}`));
+
+            if (!media) {
+                throw Object.assign(new Error('Media no longer present on message'), { permanent: true });
+            }
+
+            const target = this.resolveMediaTarget(media, message);
+            if (!target) {
+                throw Object.assign(new Error('Media is no longer a supported type'), { permanent: true });
+            }
+
+            const result = await this.saveMedia(media, target, message);
+            if (result?.skipped) {
+                Object.assign(entry, { skipped: true, reason: result.reason, timestamp: new Date().toISOString() });
+                return false;
+            }
+            return true;
+
+        } catch (error) {
+            // Unknown Channel / Unknown Message: the source is gone for good
+            const permanent = error.permanent || error.code === 10003 || error.code === 10008;
+            console.error(`   ❌ Retry failed for ${entry.fileName}:`, error.message);
+            this.recordFailedAttempt(entry, error.message, permanent);
+            if (channelId) entry.channelId = channelId;
+            if (mediaId) entry.mediaId = mediaId;
+            return false;
+        }
+    }
+
+    // useLongDelay marks file downloads, which go to the CDN rather than the API
     async retryOperation(operation, operationName, useLongDelay = false) {
+        const scope = useLongDelay ? 'cdn' : 'api';
         let lastError;
 
         for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
             try {
+                await this.waitForRateLimit(scope);
                 const result = await operation();
 
                 // Reset connection state on success
@@ -500,10 +1435,18 @@ class DiscordMediaDownloaderEnhanced {
 
             } catch (error) {
                 lastError = error;
+                if (error.retryable === false) break;
+
+                // A 429 says exactly how long to wait, for every request to that host
+                const retryAfter = this.retryAfterMs(error);
+                if (retryAfter !== null) {
+                    this.stats.rateLimits++;
+                    this.pauseRequests(scope, retryAfter);
+                }
 
                 if (attempt < this.retryConfig.maxRetries) {
-                    const delay = this.calculateDelay(attempt, useLongDelay);
-                    console.log(`   🔄 ${operationName} failed, retrying in ${delay/1000}s (attempt ${attempt + 1}/${this.retryConfig.maxRetries + 1})`);
+                    const delay = retryAfter ?? this.calculateDelay(attempt, useLongDelay);
+                    console.log(`   🔄 ${operationName} ${retryAfter !== null ? 'rate limited' : 'failed'}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${this.retryConfig.maxRetries + 1})`);
                     console.log(`      Error: ${error.message}`);
 
                     await this.sleep(delay);
@@ -517,6 +1460,70 @@ class DiscordMediaDownloaderEnhanced {
         throw lastError;
     }
 
+    // Wait time from a 429 response (Retry-After in seconds or as a date), or null for other errors
+    retryAfterMs(error) {
+        const response = error.response;
+        if (response?.status !== 429) return null;
+
+        const header = response.headers?.['retry-after'] ?? response.headers?.['x-ratelimit-reset-after'];
+        const seconds = Number(header);
+        if (header !== undefined && !isNaN(seconds)) return Math.max(seconds * 1000, 0);
+
+        const date = Date.parse(header);
+        return isNaN(date) ? this.retryConfig.baseDelay : Math.max(date - Date.now(), 0);
+    }
+
+    pauseRequests(scope, ms) {
+        const until = Date.now() + ms;
+        this.rateLimitState.pausedUntil[scope] = Math.max(this.rateLimitState.pausedUntil[scope], until);
+    }
+
+    async waitForRateLimit(scope) {
+        const wait = this.rateLimitState.pausedUntil[scope] - Date.now();
+        if (wait > 0) await this.sleep(wait);
+    }
+
+    onRateLimited({ timeToReset, global, method, route }) {
+        this.stats.rateLimits++;
+        console.log(`   ⏳ Rate limited on ${method?.toUpperCase()} ${route}${global ? ' (global)' : ''} - waiting ${(timeToReset / 1000).toFixed(1)}s`);
+        if (global) this.pauseRequests('api', timeToReset);
+    }
+
+    // One status line: overall progress, channels being crawled, and an ETA
+    printProgress(startedAt) {
+        const statuses = [...this.crawlStatus.values()];
+        if (statuses.length === 0) return;
+
+        const fraction = (status) => {
+            if (status.phase === 'done' || status.phase === 'failed' || status.phase === 'threads') return 1;
+            if (status.phase !== 'messages' || !status.newestTs || !status.reachedTs) return 0;
+            const span = status.newestTs - status.stopTs;
+            return span > 0 ? Math.min(Math.max((status.newestTs - status.reachedTs) / span, 0), 1) : 1;
+        };
+        const percent = (value) => `${Math.round(value * 100)}%`;
+
+        const overall = statuses.reduce((sum, status) => sum + fraction(status), 0) / statuses.length;
+        const done = statuses.filter(status => status.phase === 'done' || status.phase === 'failed').length;
+        const running = statuses
+            .filter(status => status.phase === 'messages' || status.phase === 'threads')
+            .map(status => `${status.name} ${status.phase === 'threads' ? 'threads' : percent(fraction(status))}`);
+
+        const elapsed = Date.now() - startedAt;
+        const eta = overall > 0.01 ? this.formatDuration(elapsed * (1 - overall) / overall) : '?';
+
+        console.log(`⏱️  ${percent(overall)} · ${done}/${statuses.length} channels done${running.length > 0 ? ` · crawling ${running.join(', ')}` : ''} · ` +
+            `${this.stats.totalMessages} messages, ${this.stats.imagesSaved + this.stats.videosSaved} files · ` +
+            `${this.downloadLimit.active} downloading, ${this.downloadLimit.pending} queued · ETA ${eta}`);
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
     calculateDelay(attempt, useLongDelay = false) {
         const baseDelay = useLongDelay ? this.retryConfig.baseDelay * 2 : this.retryConfig.baseDelay;
         const delay = Math.min(
@@ -532,22 +1539,32 @@ class DiscordMediaDownloaderEnhanced {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    calculateCutoffDate() {
+    calculateCutoffDate(lookbackDays = this.config.lookbackDays) {
         const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - lookbackDays);
+        cutoffDate.setHours(0, 0, 0, 0); // Set to start of day
+        return cutoffDate.getTime();
+    }
 
-        if (this.hoursOverride !== null) {
-            // Use hours override if provided
-            cutoffDate.setHours(cutoffDate.getHours() - this.hoursOverride);
-            console.log(`🕐 Using hours override: ${this.hoursOverride} hours back from now`);
-            console.log(`📅 Override cutoff date: ${cutoffDate.toISOString()}`);
-        } else {
-            // Default behavior: 60 days back
-            cutoffDate.setDate(cutoffDate.getDate() - 60);
-            cutoffDate.setHours(0, 0, 0, 0); // Set to start of day
-            console.log(`📅 Using default 60-day cutoff`);
-        }
+    // Oldest message timestamp to crawl in a channel (threads use their parent's window).
+    // A range run replaces every lookback window with its own start.
+    cutoffFor(channelId) {
+        if (this.range) return this.range.since;
+        const lookbackDays = this.config.channelOverrides[channelId]?.lookbackDays;
+        if (lookbackDays === undefined) return this.dateFilterConfig.cutoffDate;
+        return this.calculateCutoffDate(lookbackDays);
+    }
 
-        return cutoffDate.getTime();
+    // What identifies a range run's cursors in range_cursors.json
+    rangeKey() {
+        const { afterId, beforeId, channels } = this.range;
+        return { afterId, beforeId, channels };
+    }
+
+    describeRange() {
+        const { since, until, channels } = this.range;
+        const end = until ? new Date(until).toISOString() : 'now';
+        return `${new Date(since).toISOString()} → ${end}${channels ? ` in ${channels.length} channels` : ''}`;
     }
 
     timestampToSnowflake(timestamp) {
@@ -564,6 +1581,12 @@ class DiscordMediaDownloaderEnhanced {
         return snowflake.toString();
     }
 
+    newerSnowflake(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+        return BigInt(b) > BigInt(a) ? b : a;
+    }
+
     snowflakeToTimestamp(snowflake) {
         // Discord's epoch: January 1, 2015
         const discordEpoch = 1420070400000;
@@ -578,30 +1601,165 @@ class DiscordMediaDownloaderEnhanced {
         console.log(`New messages with media: ${this.stats.newMessages}`);
         console.log(`📸 Images saved: ${this.stats.imagesSaved}`);
         console.log(`🎬 Videos saved: ${this.stats.videosSaved}`);
+        console.log(`♻️  Duplicates skipped: ${this.stats.duplicatesSkipped}`);
+        console.log(`🧩 Saved by source: ${Object.entries(this.stats.savedBySource).map(([type, count]) => `${type} ${count}`).join(', ')}`);
+        console.log(`🔧 Extensions corrected: ${this.stats.extensionsCorrected} (${this.stats.notMediaSkipped} non-media downloads skipped)`);
+        console.log(`⏭️  Skipped by media type or size limit: ${this.stats.filteredSkipped}`);
         console.log(`🔄 Successful retries: ${this.stats.retries}`);
         console.log(`❌ Total errors: ${this.stats.errors}`);
         console.log(`🌐 Connection errors: ${this.stats.connectionErrors}`);
+        console.log(`⏳ Rate limits hit: ${this.stats.rateLimits}`);
         console.log(`📅 Old messages filtered: ${this.stats.oldMessagesFiltered}`);
+        console.log(`🧵 Threads crawled: ${this.stats.threadsScanned} (${this.stats.threadsUpToDate} already up to date)`);
+        if (this.mode === 'watch') {
+            console.log(`👀 Live messages: ${this.stats.liveMessages} (${this.stats.liveEdits} edits, ${this.stats.gapBackfills} reconnect backfills)`);
+        }
+        if (this.mode === 'retry-failed') {
+            console.log(`🔁 Failed downloads retried: ${this.stats.failedRetried}`);
+            console.log(`✅ Failed downloads recovered: ${this.stats.failedRecovered}`);
+            console.log(`💀 Marked permanently dead: ${this.stats.failedDead}`);
+        }
         console.log(`\n📁 Images saved to: ${this.imagesDir}`);
         console.log(`📁 Videos saved to: ${this.videosDir}`);
         console.log('='.repeat(70));
     }
 }
 
-// Parse command line arguments for hours override
-const hoursOverride = process.argv[2] ? parseInt(process.argv[2], 10) : null;
+// --since / --until value: an ISO date or a message ID (snowflake) -> { timestamp, id }
+function parseRangeBound(flag, value) {
+    const discordEpoch = 1420070400000;
+
+    if (/^\d{17,20}$/.test(value)) {
+        return { timestamp: Number((BigInt(value) >> 22n) + BigInt(discordEpoch)), id: BigInt(value), isMessageId: true };
+    }
 
-if (hoursOverride !== null && !isNaN(hoursOverride)) {
-    console.log(`🕒 STARTING WITH CUSTOM TIME OVERRIDE: ${hoursOverride} hours back`);
-    console.log(`📍 This will override the default 20-day cutoff and process messages from the last ${hoursOverride} hours`);
-    console.log(`⚠️  WARNING: This will reset processed messages to start from this new time point`);
-} else if (process.argv[2]) {
-    console.error(`❌ Invalid hours value: "${process.argv[2]}". Please provide a valid number.`);
+    const timestamp = Date.parse(value);
+    if (isNaN(timestamp)) {
+        throw new Error(`${flag}: "${value}" is neither a date (e.g. 2025-10-01 or 2025-10-01T12:00:00Z) nor a message ID`);
+    }
+    if (timestamp < discordEpoch) {
+        throw new Error(`${flag}: ${value} is before Discord existed (2015-01-01)`);
+    }
+    // The smallest snowflake of that millisecond
+    return { timestamp, id: BigInt(timestamp - discordEpoch) << 22n, isMessageId: false };
+}
+
+// A bounded run's window as message IDs: afterId < ID < beforeId. Dates are inclusive at
+// --since and exclusive at --until; message IDs are inclusive at both ends.
+function buildRange({ since, until, channels }) {
+    const range = {
+        afterId: (since.id - 1n).toString(),
+        beforeId: until ? (until.isMessageId ? until.id + 1n : until.id).toString() : null,
+        since: since.timestamp,
+        until: until ? until.timestamp : null,
+        channels: channels || null
+    };
+    if (until && BigInt(range.beforeId) <= since.id) {
+        throw new Error(`--until must be after --since`);
+    }
+    return range;
+}
+
+// Parse command line arguments: [--retry-failed | --watch] [--config <file>] [--lookback-days <n>]
+// [--crawl-concurrency <n>] [--download-concurrency <n>] [--since <date|id>] [--until <date|id>] [--channels <id,...>] [hours]
+const VALUE_FLAGS = {
+    '--config': 'file', '--lookback-days': 'lookbackDays', '--crawl-concurrency': 'crawlConcurrency', '--download-concurrency': 'downloadConcurrency',
+    '--since': 'since', '--until': 'until', '--channels': 'channels'
+};
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (VALUE_FLAGS[arg]) {
+        const value = args[++i];
+        if (value === undefined || value.startsWith('--')) {
+            console.error(`❌ ${arg} requires a value`);
+            process.exit(1);
+        }
+        flags[VALUE_FLAGS[arg]] = value;
+    } else if (arg.startsWith('--')) {
+        flags[arg] = true;
+    } else {
+        positional.push(arg);
+    }
+}
+
+const unknownFlags = Object.keys(flags).filter(flag => flag.startsWith('--') && !['--retry-failed', '--watch'].includes(flag));
+if (unknownFlags.length > 0) {
+    console.error(`❌ Unknown option: ${unknownFlags.join(', ')}`);
+    process.exit(1);
+}
+
+const retryFailed = Boolean(flags['--retry-failed']);
+const watch = Boolean(flags['--watch']);
+const hoursArg = positional[0];
+const hours = hoursArg !== undefined ? Number(hoursArg) : null;
+const isRange = hoursArg !== undefined || Boolean(flags.since || flags.until || flags.channels);
+
+let config;
+try {
+    const { file, lookbackDays, crawlConcurrency, downloadConcurrency } = flags;
+    config = await loadDownloaderConfig(__dirname, { file, cli: { lookbackDays, crawlConcurrency, downloadConcurrency } });
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
     process.exit(1);
+}
+
+let range = null;
+if (retryFailed) {
+    if (isRange || watch) {
+        console.error(`❌ --retry-failed does not take an hours value, --since/--until/--channels or --watch`);
+        process.exit(1);
+    }
+    console.log(`🔁 STARTING IN RETRY-FAILED MODE`);
+    console.log(`📋 Re-fetching messages listed in failed_downloads.json to get fresh attachment URLs`);
+} else if (isRange) {
+    try {
+        if (watch) {
+            throw new Error('--watch cannot be combined with an hours value or --since/--until/--channels - run the range first, then watch');
+        }
+        if (hoursArg !== undefined && (!Number.isFinite(hours) || hours <= 0)) {
+            throw new Error(`Invalid hours value: "${hoursArg}". Please provide a positive number.`);
+        }
+        if (hoursArg !== undefined && flags.since) {
+            throw new Error('Give either an hours value or --since, not both');
+        }
+
+        const channels = flags.channels?.split(',').map(id => id.trim()).filter(Boolean);
+        const badChannel = channels?.find(id => !/^\d{17,20}$/.test(id));
+        if (badChannel || channels?.length === 0) {
+            throw new Error(`--channels must be a comma-separated list of channel IDs${badChannel ? ` (got "${badChannel}")` : ''}`);
+        }
+
+        // Without --since the range starts where the configured lookback window does
+        const lookbackStart = new Date();
+        lookbackStart.setDate(lookbackStart.getDate() - config.lookbackDays);
+        lookbackStart.setHours(0, 0, 0, 0);
+        const sinceValue = flags.since || new Date(hours !== null ? Date.now() - hours * 3600000 : lookbackStart.getTime()).toISOString();
+
+        range = buildRange({
+            since: parseRangeBound('--since', sinceValue),
+            until: flags.until ? parseRangeBound('--until', flags.until) : null,
+            channels
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    console.log(`🕒 STARTING A BOUNDED RUN: ${new Date(range.since).toISOString()} → ${range.until ? new Date(range.until).toISOString() : 'now'}`);
+    console.log(`📍 ${range.channels ? `Channels: ${range.channels.join(', ')}` : 'All configured channels'} - channel_dates.json and the regular incremental run are left untouched`);
 } else {
-    console.log(`🕒 STARTING WITH DEFAULT 60-DAY CUTOFF`);
-    console.log(`💡 Use: npm run download -- <hours> to override with custom hours back (e.g., npm run download -- 24)`);
+    console.log(`🕒 STARTING WITH THE CONFIGURED ${config.lookbackDays}-DAY LOOKBACK`);
+    console.log(`💡 Use: npm run download -- <hours> or --since <date> [--until <date>] [--channels <id,...>] for a one-off bounded run`);
+}
+
+if (watch) {
+    console.log(`👀 WATCH MODE: staying connected after the backfill to download new media as it is posted`);
 }
 
-const downloader = new DiscordMediaDownloaderEnhanced(hoursOverride);
-downloader.init().catch(console.error);
\ No newline at end of file
+const mode = retryFailed ? 'retry-failed' : watch ? 'watch' : 'download';
+const downloader = new DiscordMediaDownloaderEnhanced({ mode, config, range });
+downloader.init().catch(console.error);
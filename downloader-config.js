@@ -0,0 +1,315 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Settings for the Discord downloader, read from downloader-config.json.
+ *
+ * Precedence, lowest to highest: the defaults below, the config file, environment variables,
+ * CLI flags. The merged result is validated against DOWNLOADER_CONFIG_SCHEMA; every problem
+ * is reported at once in a single ConfigError.
+ *
+ * Which channels are crawled comes from here - `includeChannels` plus every text, announcement
+ * and forum channel of the listed `guilds`, minus `excludeChannels`. channel_dates.json only
+ * records how far each channel has been crawled.
+ *
+ * `outputLayout` places files in subdirectories of the output directories, e.g.
+ * "{guild}/{channel}/{yyyy-mm}"; an empty layout saves everything flat.
+ */
+
+export const DEFAULT_DOWNLOADER_CONFIG = {
+    guilds: [],                 // Crawl every text, announcement and forum channel of these guilds
+    includeChannels: [],        // Channels crawled in addition to (or instead of) whole guilds
+    excludeChannels: [],        // Never crawled, even when a listed guild contains them
+    lookbackDays: 60,           // How far back a crawl goes
+    channelOverrides: {},       // Channel ID -> { lookbackDays, outputLayout, alwaysKeep } for channels with their own rules
+    mediaTypes: ['image', 'video'],
+    maxFileSizeMB: { image: 50, video: 500 },
+    retry: {
+        maxRetries: 3,
+        baseDelayMs: 2000,
+        maxDelayMs: 30000,
+        backoffMultiplier: 2,
+        failedDownloadMaxAttempts: 5 // Mark a failed download dead after this many tries
+    },
+    concurrency: { channels: 3, downloads: 4 },
+    maxOutageMinutes: 15,
+    outputDirs: { images: 'saved_images', videos: 'saved_videos' },
+    outputLayout: ''            // Subdirectories under outputDirs, see LAYOUT_PLACEHOLDERS
+};
+
+// {placeholder} -> value for one message; threads and forum posts are filed under their parent channel
+export const LAYOUT_PLACEHOLDERS = {
+    guild: ({ guild }) => guild?.name || guild?.id || 'unknown-guild',
+    guildId: ({ guild }) => guild?.id || 'unknown-guild',
+    channel: ({ channel }) => channel?.name || channel?.id || 'unknown-channel',
+    channelId: ({ channel }) => channel?.id || 'unknown-channel',
+    yyyy: ({ date }) => date.toISOString().slice(0, 4),
+    mm: ({ date }) => date.toISOString().slice(5, 7),
+    dd: ({ date }) => date.toISOString().slice(8, 10),
+    'yyyy-mm': ({ date }) => date.toISOString().slice(0, 7),
+    'yyyy-mm-dd': ({ date }) => date.toISOString().slice(0, 10)
+};
+
+// Problem with an output layout, or null: it must stay inside the output directory and use known placeholders
+function checkLayout(layout) {
+    if (/^\s*[/\\]/.test(layout) || /^[a-z]:/i.test(layout)) return 'must be a relative path';
+    if (layout.split(/[/\\]/).includes('..')) return 'must not contain ".."';
+
+    // Every brace must belong to a known {placeholder}
+    const unknown = [...layout.matchAll(/\{([^{}]*)\}/g)].map(match => match[1]).filter(name => !LAYOUT_PLACEHOLDERS[name]);
+    if (unknown.length > 0 || /[{}]/.test(layout.replace(/\{[^{}]*\}/g, ''))) {
+        return `may only use ${Object.keys(LAYOUT_PLACEHOLDERS).map(name => `{${name}}`).join(', ')}`;
+    }
+    return null;
+}
+
+const snowflake = { type: 'string', pattern: /^\d{17,20}$/, hint: 'a Discord ID (17-20 digits)' };
+const snowflakeList = { type: 'array', items: snowflake };
+const positive = { type: 'number', min: 0, exclusiveMin: true };
+const count = (min) => ({ type: 'integer', min });
+const layout = { type: 'string', check: checkLayout };
+
+export const DOWNLOADER_CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        guilds: snowflakeList,
+        includeChannels: snowflakeList,
+        excludeChannels: snowflakeList,
+        lookbackDays: positive,
+        channelOverrides: {
+            type: 'record',
+            keys: snowflake,
+            values: { type: 'object', properties: { lookbackDays: positive, outputLayout: layout, alwaysKeep: { type: 'boolean' } } }
+        },
+        mediaTypes: { type: 'array', minItems: 1, items: { type: 'string', enum: ['image', 'video'] } },
+        maxFileSizeMB: { type: 'object', properties: { image: positive, video: positive } },
+        retry: {
+            type: 'object',
+            properties: {
+                maxRetries: count(0),
+                baseDelayMs: count(0),
+                maxDelayMs: count(0),
+                backoffMultiplier: { type: 'number', min: 1 },
+                failedDownloadMaxAttempts: count(1)
+            }
+        },
+        concurrency: { type: 'object', properties: { channels: count(1), downloads: count(1) } },
+        maxOutageMinutes: positive,
+        outputDirs: { type: 'object', properties: { images: { type: 'string', minLength: 1 }, videos: { type: 'string', minLength: 1 } } },
+        outputLayout: layout
+    }
+};
+
+export class ConfigError extends Error {
+    constructor(source, problems) {
+        super(`Invalid downloader configuration (${source}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function describeValue(value) {
+    return Array.isArray(value) ? 'an array' : value === null ? 'null' : typeof value === 'string' ? `"${value}"` : typeof value === 'object' ? 'an object' : String(value);
+}
+
+// Collects every mismatch between value and schema as "<path> must be ..." messages
+export function validate(value, schema, at = 'config', problems = []) {
+    switch (schema.type) {
+        case 'object':
+        case 'record':
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                problems.push(`${at} must be an object (got ${describeValue(value)})`);
+                break;
+            }
+            for (const [key, child] of Object.entries(value)) {
+                // "$schema" and "_comment"-style keys are allowed for editors and notes
+                if (key.startsWith('$') || key.startsWith('_')) continue;
+                if (schema.type === 'record') {
+                    validate(key, schema.keys, `${at} key "${key}"`, problems);
+                    validate(child, schema.values, `${at}.${key}`, problems);
+                } else if (!schema.properties[key]) {
+                    problems.push(`${at}.${key} is not a known setting (expected one of: ${Object.keys(schema.properties).join(', ')})`);
+                } else {
+                    validate(child, schema.properties[key], `${at}.${key}`, problems);
+                }
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                problems.push(`${at} must be an array (got ${describeValue(value)})`);
+                break;
+            }
+            if (schema.minItems && value.length < schema.minItems) {
+                problems.push(`${at} must have at least ${schema.minItems} item(s)`);
+            }
+            value.forEach((item, index) => validate(item, schema.items, `${at}[${index}]`, problems));
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                problems.push(`${at} must be ${schema.hint || 'a string'} (got ${describeValue(value)})`);
+            } else if (schema.pattern && !schema.pattern.test(value)) {
+                problems.push(`${at} must be ${schema.hint} (got "${value}")`);
+            } else if (schema.enum && !schema.enum.includes(value)) {
+                problems.push(`${at} must be one of ${schema.enum.map(option => `"${option}"`).join(', ')} (got "${value}")`);
+            } else if (schema.minLength && value.length < schema.minLength) {
+                problems.push(`${at} must not be empty`);
+            } else if (schema.check?.(value)) {
+                problems.push(`${at} ${schema.check(value)} (got "${value}")`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                problems.push(`${at} must be true or false (got ${describeValue(value)})`);
+            }
+            break;
+        case 'number':
+        case 'integer': {
+            const kind = schema.type === 'integer' ? 'a whole number' : 'a number';
+            if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                problems.push(`${at} must be ${kind} (got ${describeValue(value)})`);
+            } else if (schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min)) {
+                problems.push(`${at} must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min} (got ${value})`);
+            }
+            break;
+        }
+    }
+    return problems;
+}
+
+// Directory names from Discord names: letters, digits, dot, dash and underscore survive
+function toSegment(value) {
+    const segment = String(value).replace(/[^\p{L}\p{N}._-]+/gu, '_').replace(/^[._]+|_+$/g, '');
+    return segment || '_';
+}
+
+// Relative subdirectory for a message under an output layout ('' keeps files flat)
+export function renderOutputLayout(layout, { guild = null, channel = null, date }) {
+    if (!layout) return '';
+
+    const values = { guild, channel, date };
+    return layout
+        .split(/[/\\]+/)
+        .filter(Boolean)
+        .map(part => part.replace(/\{([\w-]+)\}/g, (_, name) => toSegment(LAYOUT_PLACEHOLDERS[name](values))))
+        .join('/');
+}
+
+// Nested objects merge key by key; arrays and plain values replace
+function merge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        result[key] = isObject && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])
+            ? merge(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+// A numeric override, validated under its own name (e.g. "CRAWL_CONCURRENCY must be at least 1")
+function numberFrom(name, raw, schema, problems) {
+    if (raw === undefined) return undefined;
+
+    const number = raw.trim() === '' ? NaN : Number(raw);
+    const found = validate(number, schema, name);
+    if (found.length > 0) {
+        problems.push(...found.map(problem => problem.replace(/\(got .*\)$/, `(got "${raw}")`)));
+        return undefined;
+    }
+    return number;
+}
+
+function concurrencyFrom(channels, downloads) {
+    if (channels === undefined && downloads === undefined) return undefined;
+    return { ...(channels !== undefined && { channels }), ...(downloads !== undefined && { downloads }) };
+}
+
+// Environment variables that override config file settings
+function fromEnv(env, problems) {
+    const { properties } = DOWNLOADER_CONFIG_SCHEMA;
+    const number = (name, schema) => numberFrom(name, env[name], schema, problems);
+    const settings = {};
+
+    const concurrency = concurrencyFrom(
+        number('CRAWL_CONCURRENCY', properties.concurrency.properties.channels),
+        number('DOWNLOAD_CONCURRENCY', properties.concurrency.properties.downloads)
+    );
+    if (concurrency) settings.concurrency = concurrency;
+
+    const failedDownloadMaxAttempts = number('FAILED_DOWNLOAD_MAX_ATTEMPTS', properties.retry.properties.failedDownloadMaxAttempts);
+    if (failedDownloadMaxAttempts !== undefined) settings.retry = { failedDownloadMaxAttempts };
+
+    const maxOutageMinutes = number('MAX_OUTAGE_MINUTES', properties.maxOutageMinutes);
+    if (maxOutageMinutes !== undefined) settings.maxOutageMinutes = maxOutageMinutes;
+
+    if (env.IMAGE_SAVE_PATH || env.VIDEO_SAVE_PATH) {
+        settings.outputDirs = {
+            ...(env.IMAGE_SAVE_PATH && { images: env.IMAGE_SAVE_PATH }),
+            ...(env.VIDEO_SAVE_PATH && { videos: env.VIDEO_SAVE_PATH })
+        };
+    }
+
+    return settings;
+}
+
+// CLI flags ({ lookbackDays, crawlConcurrency, downloadConcurrency } as strings) that override everything else
+function fromCli(cli, problems) {
+    const { properties } = DOWNLOADER_CONFIG_SCHEMA;
+    const settings = {};
+
+    const lookbackDays = numberFrom('--lookback-days', cli.lookbackDays, properties.lookbackDays, problems);
+    if (lookbackDays !== undefined) settings.lookbackDays = lookbackDays;
+
+    const concurrency = concurrencyFrom(
+        numberFrom('--crawl-concurrency', cli.crawlConcurrency, properties.concurrency.properties.channels, problems),
+        numberFrom('--download-concurrency', cli.downloadConcurrency, properties.concurrency.properties.downloads, problems)
+    );
+    if (concurrency) settings.concurrency = concurrency;
+
+    return settings;
+}
+
+// Where the downloader saves media, for the tools that read it (analyzers, scheduler, restore)
+export async function loadMediaDirs(baseDir, env = process.env) {
+    const { outputDirs } = await loadDownloaderConfig(baseDir, { env });
+    return { image: outputDirs.images, video: outputDirs.videos };
+}
+
+export async function loadDownloaderConfig(baseDir, { file = null, env = process.env, cli = {} } = {}) {
+    const configFile = file ? path.resolve(file) : path.join(baseDir, 'downloader-config.json');
+    const source = path.relative(baseDir, configFile) || configFile;
+
+    let fileSettings = {};
+    if (await fs.pathExists(configFile)) {
+        try {
+            fileSettings = await fs.readJson(configFile);
+        } catch (error) {
+            throw new ConfigError(source, [`not valid JSON: ${error.message}`]);
+        }
+        const problems = validate(fileSettings, DOWNLOADER_CONFIG_SCHEMA);
+        if (problems.length > 0) throw new ConfigError(source, problems);
+    } else if (file) {
+        throw new ConfigError(source, ['file not found']);
+    }
+
+    const problems = [];
+    const config = merge(merge(merge(DEFAULT_DOWNLOADER_CONFIG, fileSettings), fromEnv(env, problems)), fromCli(cli, problems));
+
+    // GUILD_ID only applies when the config file names no guilds or channels of its own
+    if (config.guilds.length === 0 && config.includeChannels.length === 0 && env.GUILD_ID) {
+        const guildProblems = validate(env.GUILD_ID, snowflake, 'GUILD_ID');
+        problems.push(...guildProblems);
+        if (guildProblems.length === 0) config.guilds = [env.GUILD_ID];
+    }
+
+    validate(config, DOWNLOADER_CONFIG_SCHEMA, 'config', problems);
+    if (problems.length > 0) throw new ConfigError(`${source} with environment and command line overrides`, problems);
+
+    config.outputDirs = {
+        images: path.resolve(baseDir, config.outputDirs.images),
+        videos: path.resolve(baseDir, config.outputDirs.videos)
+    };
+    config.source = fs.existsSync(configFile) ? source : null;
+
+    return config;
+}
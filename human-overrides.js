@@ -0,0 +1,46 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Moderator decisions that win over the model, keyed by SHA-256 content hash so they
+ * survive renames. The analyzers skip any file with a "keep" override; "delete"
+ * decisions from the review queue are only recorded.
+ */
+class HumanOverrides {
+    constructor(baseDir) {
+        this.file = path.join(baseDir, 'human_overrides.json');
+        this.overrides = {};
+    }
+
+    async load() {
+        if (await fs.pathExists(this.file)) {
+            this.overrides = await fs.readJson(this.file);
+        }
+        return this;
+    }
+
+    async save() {
+        await fs.writeJson(this.file, this.overrides, { spaces: 2 });
+    }
+
+    get(hash) {
+        return this.overrides[hash] || null;
+    }
+
+    isKept(hash) {
+        return this.overrides[hash]?.decision === 'keep';
+    }
+
+    record(hash, { decision, file, source, previousVerdict = null }) {
+        this.overrides[hash] = {
+            decision,
+            file,
+            source,
+            previousVerdict,
+            decidedAt: new Date().toISOString()
+        };
+        return this.overrides[hash];
+    }
+}
+
+export default HumanOverrides;
@@ -0,0 +1,89 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_POLICY } from './analysis-policy.js';
+import VideoPreprocessor, { frameOptionsFromEnv } from './video-preprocessor.js';
+import { detectFileType, listMediaFiles } from './media-type.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export { IMAGE_PATTERN, VIDEO_PATTERN } from './media-type.js';
+
+function toDataUrl(buffer, mimeType) {
+    return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+function createHandler(defaults, options) {
+    const handler = {
+        ...defaults,
+        ...options,
+        policy: { ...DEFAULT_POLICY, ...options.policy },
+        // The prompt only offers "maybe" when the policy has a use for it
+        allowMaybe: options.allowMaybe ?? Boolean(options.policy?.maybe && options.policy.maybe !== 'delete'),
+        request: { ...defaults.request, ...options.request }
+    };
+
+    // A fixed prompt string is the common case; functions can build per-file prompts
+    if (typeof handler.prompt === 'string') {
+        const prompt = handler.prompt;
+        handler.createPrompt = handler.createPrompt || (async () => prompt);
+    }
+
+    // Files are picked by their content, so a mislabeled GIF in saved_videos/ is not sent as a video
+    handler.getFiles = handler.getFiles || (() => listMediaFiles(handler.sourceDir, handler.type));
+    return handler;
+}
+
+export function createImageHandler(options = {}) {
+    return createHandler({
+        type: 'image',
+        label: 'Images',
+        icon: '🖼️',
+        sourceDir: null, // The downloader's image directory, resolved by the analyzer
+        deletedDir: path.join(__dirname, 'deleted_images'),
+        reviewDir: path.join(__dirname, 'review', 'images'),
+        attributes: [],
+        request: { maxTokens: 800, temperature: 0.2, timeout: 120000 },
+        buildMedia: async (filePath) => {
+            const type = await detectFileType(filePath);
+            return [{ kind: 'image', url: toDataUrl(await fs.readFile(filePath), type?.mime || 'image/jpeg') }];
+        }
+    }, options);
+}
+
+// Tells the model how to read the frame sequence; part of the prompt (and so the cache version)
+function videoFramesNote({ keyframes, proxySeconds }) {
+    const clip = proxySeconds > 0
+        ? ` A short low-resolution clip of the first ${proxySeconds} seconds, with audio, may follow the frames.`
+        : '';
+    return `The video is provided as ${keyframes} frames sampled evenly from start to end, in order.${clip} Judge the video as a whole from them.`;
+}
+
+export function createVideoHandler(options = {}) {
+    const preprocessor = options.preprocessor || new VideoPreprocessor(options.frames || frameOptionsFromEnv());
+
+    const handler = createHandler({
+        type: 'video',
+        label: 'Videos',
+        icon: '🎬',
+        sourceDir: null, // The downloader's video directory, resolved by the analyzer
+        deletedDir: path.join(__dirname, 'deleted_media'),
+        reviewDir: path.join(__dirname, 'review', 'videos'),
+        attributes: [],
+        request: { maxTokens: 1000, temperature: 0.2, timeout: 180000 },
+        // Keyframes always go as an image sequence; the proxy clip only to providers that take video
+        buildMedia: async (filePath, { supportsVideo = false } = {}) => {
+            const { frames, proxy } = await preprocessor.prepare(filePath, { includeProxy: supportsVideo });
+            return [
+                ...frames.map(frame => ({ kind: 'image', url: toDataUrl(frame, 'image/jpeg') })),
+                ...(proxy ? [{ kind: 'video', url: toDataUrl(proxy, 'video/mp4') }] : [])
+            ];
+        }
+    }, options);
+
+    const createPrompt = handler.createPrompt;
+    const note = videoFramesNote(preprocessor.options);
+    handler.createPrompt = async (filePath) => `${note}\n\n${await createPrompt(filePath)}`;
+    return handler;
+}
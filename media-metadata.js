@@ -0,0 +1,95 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Per-file metadata sidecars (`<file>.meta.json`) written by the downloader.
+ *
+ * A sidecar keeps everything the file name cannot: who posted the media, where, the
+ * message text, reactions, and the media's size, dimensions, content type and source
+ * URL. Anything that moves a media file (analyzer quarantine, restore) moves its
+ * sidecar along with it.
+ */
+
+const MAX_CAPTION_LENGTH = 500;
+
+export function sidecarPath(filePath) {
+    return `${filePath}.meta.json`;
+}
+
+export function buildMetadata(message, media, { fileName, size, hash }) {
+    const channel = message.channel;
+
+    return {
+        messageId: message.id,
+        messageUrl: message.url,
+        postedAt: new Date(message.createdTimestamp).toISOString(),
+        guild: message.guild ? { id: message.guild.id, name: message.guild.name } : null,
+        channel: {
+            id: message.channelId,
+            name: channel?.name || null,
+            // Media posted in a thread or forum post also records the parent channel
+            parentId: channel?.isThread?.() ? channel.parentId : null
+        },
+        author: message.author ? {
+            id: message.author.id,
+            tag: message.author.tag,
+            displayName: message.member?.displayName || message.author.globalName || message.author.username
+        } : null,
+        content: message.content || '',
+        reactions: [...(message.reactions?.cache?.values() || [])].map(reaction => ({
+            emoji: reaction.emoji.id ? `${reaction.emoji.name}:${reaction.emoji.id}` : reaction.emoji.name,
+            count: reaction.count
+        })),
+        media: {
+            fileName,
+            originalName: media.name,
+            sourceType: media.sourceType,
+            sourceUrl: media.url,
+            contentType: media.contentType || null,
+            size,
+            width: media.width || null,
+            height: media.height || null,
+            sha256: hash
+        },
+        savedAt: new Date().toISOString()
+    };
+}
+
+export async function writeSidecar(filePath, metadata) {
+    await fs.writeJson(sidecarPath(filePath), metadata, { spaces: 2 });
+}
+
+export async function readSidecar(filePath) {
+    try {
+        return await fs.readJson(sidecarPath(filePath));
+    } catch {
+        return null;
+    }
+}
+
+// Move a sidecar along with its media file; files saved before sidecars existed have none
+// filePath, or name_2.ext, name_3.ext, ... when it or its sidecar or analysis is taken.
+// The deleted and review directories never overwrite what they hold
+export async function freePath(filePath) {
+    const ext = path.extname(filePath);
+    const stem = filePath.slice(0, filePath.length - ext.length);
+
+    for (let n = 1; ; n++) {
+        const candidate = n === 1 ? filePath : `${stem}_${n}${ext}`;
+        const taken = await Promise.all([candidate, sidecarPath(candidate), `${candidate}.analysis.txt`].map(file => fs.pathExists(file)));
+        if (!taken.some(Boolean)) return candidate;
+    }
+}
+
+export async function moveSidecar(fromPath, toPath) {
+    if (await fs.pathExists(sidecarPath(fromPath))) {
+        await fs.move(sidecarPath(fromPath), sidecarPath(toPath), { overwrite: true });
+    }
+}
+
+// Caption text for prompts, trimmed so a wall of text cannot crowd out the instructions
+export function captionFor(metadata) {
+    const content = metadata?.content?.trim();
+    if (!content) return null;
+    return content.length > MAX_CAPTION_LENGTH ? `${content.substring(0, MAX_CAPTION_LENGTH)}...` : content;
+}
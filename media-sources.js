@@ -0,0 +1,90 @@
+import path from 'path';
+import { typeFromExtension } from './media-type.js';
+
+/**
+ * Finds every piece of media in a Discord message, not just attachments:
+ * embed videos/images/thumbnails (Tenor and Giphy links arrive as "gifv" embeds
+ * with an MP4 video), stickers, and direct media links in the message text.
+ *
+ * Each source is { sourceType, id, url, name } plus whatever Discord reports about the
+ * media (size, width, height, contentType). `sourceType` is 'attachment', 'embed',
+ * 'sticker' or 'link'; `id` is stable for a given message so a failed download can be
+ * matched again after re-fetching the message.
+ */
+
+const URL_PATTERN = /https?:\/\/[^\s<>()]+/gi;
+
+// File name from a URL's path, ignoring query strings (CDN URLs carry signatures)
+export function nameFromUrl(url) {
+    try {
+        return decodeURIComponent(path.posix.basename(new URL(url).pathname)) || 'media';
+    } catch {
+        return 'media';
+    }
+}
+
+export function isMediaUrl(url) {
+    return Boolean(typeFromExtension(nameFromUrl(url)));
+}
+
+function embedSource(part, url, id) {
+    return { sourceType: 'embed', id, url, name: nameFromUrl(url), width: part.width, height: part.height };
+}
+
+function embedSources(embed, index) {
+    // The video of a gifv/video embed is the real media; its thumbnail is just a preview frame
+    const video = embed.video?.proxyURL || embed.video?.url;
+    if (video && isMediaUrl(video)) {
+        return [embedSource(embed.video, video, `embed-${index}-video`)];
+    }
+
+    for (const kind of ['image', 'thumbnail']) {
+        const url = embed[kind]?.proxyURL || embed[kind]?.url;
+        if (url) {
+            return [embedSource(embed[kind], url, `embed-${index}-${kind}`)];
+        }
+    }
+
+    return [];
+}
+
+export function collectMediaSources(message) {
+    const sources = [];
+
+    for (const attachment of message.attachments?.values() || []) {
+        sources.push({
+            sourceType: 'attachment',
+            id: attachment.id,
+            url: attachment.url,
+            name: attachment.name || 'media',
+            size: attachment.size,
+            width: attachment.width,
+            height: attachment.height,
+            contentType: attachment.contentType
+        });
+    }
+
+    const embeds = message.embeds || [];
+    embeds.forEach((embed, index) => sources.push(...embedSources(embed, index)));
+
+    for (const sticker of message.stickers?.values() || []) {
+        // Lottie stickers are JSON animations, not media files
+        const url = sticker.url;
+        if (url && isMediaUrl(url)) {
+            sources.push({ sourceType: 'sticker', id: sticker.id, url, name: `${sticker.name || 'sticker'}${path.extname(nameFromUrl(url))}` });
+        }
+    }
+
+    // Links Discord already turned into an embed are covered above
+    const embedded = new Set(embeds.flatMap(embed => [embed.url, embed.image?.url, embed.thumbnail?.url, embed.video?.url]).filter(Boolean));
+    const links = [...new Set(message.content?.match(URL_PATTERN) || [])];
+    links.forEach((url, index) => {
+        if (isMediaUrl(url) && !embedded.has(url)) {
+            sources.push({ sourceType: 'link', id: `link-${index}`, url, name: nameFromUrl(url) });
+        }
+    });
+
+    // The same URL can appear as several sources (e.g. an attachment also linked in the text)
+    const seen = new Set();
+    return sources.filter(source => !seen.has(source.url) && seen.add(source.url));
+}
@@ -0,0 +1,164 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * One place that decides whether something is an image or a video.
+ *
+ * Magic bytes win over Discord's contentType, which wins over the file extension -
+ * extensions go missing on CDN URLs and are simply wrong on mislabeled uploads. The
+ * downloader uses detectMediaType() on the downloaded bytes and fixes the extension;
+ * the analyzers, scheduler and restore tool use detectFileType() on files on disk.
+ * GIFs are always images.
+ */
+
+export const MEDIA_FORMATS = [
+    { ext: 'jpg', kind: 'image', mime: 'image/jpeg', aliases: ['jpeg', 'jfif'] },
+    { ext: 'png', kind: 'image', mime: 'image/png', aliases: ['apng'] },
+    { ext: 'gif', kind: 'image', mime: 'image/gif' },
+    { ext: 'webp', kind: 'image', mime: 'image/webp' },
+    { ext: 'heic', kind: 'image', mime: 'image/heic', aliases: ['heif'] },
+    { ext: 'avif', kind: 'image', mime: 'image/avif' },
+    { ext: 'mp4', kind: 'video', mime: 'video/mp4' },
+    { ext: 'm4v', kind: 'video', mime: 'video/x-m4v' },
+    { ext: 'mov', kind: 'video', mime: 'video/quicktime' },
+    { ext: '3gp', kind: 'video', mime: 'video/3gpp' },
+    { ext: 'webm', kind: 'video', mime: 'video/webm' },
+    { ext: 'mkv', kind: 'video', mime: 'video/x-matroska' },
+    { ext: 'avi', kind: 'video', mime: 'video/x-msvideo' },
+    { ext: 'flv', kind: 'video', mime: 'video/x-flv' },
+    { ext: 'wmv', kind: 'video', mime: 'video/x-ms-wmv' }
+];
+
+export const SNIFF_BYTES = 64;
+
+// ISO base media brands of HEIF still images and image sequences; mif1/msf1 need the compatible brands
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const extensionsOf = (kind) => MEDIA_FORMATS
+    .filter(format => format.kind === kind)
+    .flatMap(format => [format.ext, ...(format.aliases || [])]);
+
+// Quick file-name filters; detectFileType() has the final say
+export const IMAGE_PATTERN = new RegExp(`\\.(${extensionsOf('image').join('|')})$`, 'i');
+export const VIDEO_PATTERN = new RegExp(`\\.(${extensionsOf('video').join('|')})$`, 'i');
+
+// Sidecars and temp files that live next to media and are never media themselves
+const COMPANION_FILE = /\.(meta\.json|analysis\.txt|part|tmp)$/i;
+
+function formatFor(ext) {
+    return MEDIA_FORMATS.find(format => format.ext === ext) || null;
+}
+
+function describe(format, source) {
+    return format ? { kind: format.kind, ext: format.ext, mime: format.mime, source } : null;
+}
+
+export function typeFromExtension(name) {
+    const ext = path.extname(name || '').substring(1).toLowerCase();
+    const format = MEDIA_FORMATS.find(candidate => candidate.ext === ext || candidate.aliases?.includes(ext));
+    return describe(format, 'extension');
+}
+
+export function typeFromContentType(contentType) {
+    const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (!mime) return null;
+
+    const aliases = { 'image/jpg': 'jpg', 'image/apng': 'png', 'image/heif': 'heic', 'video/x-matroska': 'mkv', 'video/mpeg4': 'mp4', 'video/x-quicktime': 'mov' };
+    const format = MEDIA_FORMATS.find(candidate => candidate.mime === mime) || formatFor(aliases[mime]);
+    return describe(format, 'content-type');
+}
+
+export function sniffMediaType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+    const starts = (...bytes) => bytes.every((byte, i) => buffer[i] === byte);
+
+    let ext = null;
+    if (starts(0xFF, 0xD8, 0xFF)) ext = 'jpg';
+    else if (starts(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A)) ext = 'png';
+    else if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') ext = 'gif';
+    else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') ext = 'webp';
+    else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') ext = 'avi';
+    else if (ascii(4, 8) === 'ftyp') {
+        // ISO base media: HEIC and AVIF photos share the container with MP4, QuickTime, M4V and 3GP
+        const brand = ascii(8, 12);
+        const compatible = [];
+        for (let offset = 16; offset + 4 <= Math.min(buffer.readUInt32BE(0), buffer.length); offset += 4) {
+            compatible.push(ascii(offset, offset + 4));
+        }
+
+        if (AVIF_BRANDS.includes(brand)) ext = 'avif';
+        else if (HEIC_BRANDS.includes(brand)) ext = 'heic';
+        else if (brand === 'mif1' || brand === 'msf1') ext = compatible.some(item => AVIF_BRANDS.includes(item)) ? 'avif' : 'heic';
+        else ext = brand === 'qt  ' ? 'mov' : brand.startsWith('3g') ? '3gp' : brand.startsWith('M4V') ? 'm4v' : 'mp4';
+    } else if (ascii(4, 8) === 'moov' || ascii(4, 8) === 'mdat' || ascii(4, 8) === 'wide') ext = 'mov';
+    else if (starts(0x1A, 0x45, 0xDF, 0xA3)) {
+        // EBML header: the DocType says whether it is WebM or generic Matroska
+        ext = ascii(0, Math.min(buffer.length, SNIFF_BYTES)).includes('webm') ? 'webm' : 'mkv';
+    } else if (ascii(0, 3) === 'FLV') ext = 'flv';
+    else if (starts(0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11)) ext = 'wmv';
+
+    return describe(formatFor(ext), 'magic');
+}
+
+export function detectMediaType({ buffer = null, contentType = null, name = null } = {}) {
+    return sniffMediaType(buffer) || typeFromContentType(contentType) || typeFromExtension(name);
+}
+
+// Before downloading: worth fetching unless the content type or extension names something else
+export function mayBeMedia({ contentType = null, name = null } = {}) {
+    if (typeFromContentType(contentType) || typeFromExtension(name)) return true;
+
+    const declaresType = contentType && !/^(application\/octet-stream|binary\/octet-stream)/i.test(contentType);
+    return !declaresType && !path.extname(name || '');
+}
+
+export async function detectFileType(filePath) {
+    if (COMPANION_FILE.test(filePath)) return null;
+
+    let buffer = null;
+    try {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            buffer = Buffer.alloc(SNIFF_BYTES);
+            const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+            buffer = buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    } catch {
+        return null;
+    }
+
+    return detectMediaType({ buffer, name: filePath });
+}
+
+// Swap a wrong or missing extension for the detected one (".jpeg" stays ".jpeg")
+export function correctExtension(fileName, type) {
+    if (!type) return fileName;
+
+    const current = typeFromExtension(fileName);
+    if (current && current.ext === type.ext) return fileName;
+
+    const base = current ? fileName.slice(0, -path.extname(fileName).length) : fileName;
+    return `${base}.${type.ext}`;
+}
+
+// Media files of one kind in a directory and its subdirectories (e.g. the downloader's
+// {guild}/{channel}/{yyyy-mm} layout), sorted by path
+export async function listMediaFiles(dir, kind) {
+    if (!await fs.pathExists(dir)) return [];
+
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listMediaFiles(filePath, kind));
+        } else if (entry.isFile() && (await detectFileType(filePath))?.kind === kind) {
+            files.push(filePath);
+        }
+    }
+    return files.sort();
+}
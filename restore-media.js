@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ChecksumIndex from './checksum-index.js';
+import HumanOverrides from './human-overrides.js';
+import { parseAnalysisReport } from './verdict-parser.js';
+import { detectFileType } from './media-type.js';
+import { moveSidecar } from './media-metadata.js';
+import { loadMediaDirs } from './downloader-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Shared with review-queue.js, which filters its queue the same way
+export const FILTERS_USAGE = `Filters:
+  --since <date>           Quarantined on or after this date (ISO, e.g. 2025-10-01)
+  --until <date>           Quarantined before this date
+  --min-confidence <n>     Model confidence of at least n
+  --max-confidence <n>     Model confidence of at most n
+  --attribute <key>        Model reported this attribute as true (repeatable)
+  --type <image|video>     Only images or only videos`;
+
+const USAGE = `Usage:
+  node restore-media.js list [filters]
+  node restore-media.js restore <file...> [filters]
+  node restore-media.js restore --all [filters]
+
+${FILTERS_USAGE}`;
+
+class MediaRestorer {
+    constructor() {
+        this.baseDir = __dirname;
+        this.quarantineDirs = [
+            path.join(__dirname, 'deleted_images'),
+            path.join(__dirname, 'deleted_media')
+        ];
+        // Where the downloader saves media; loaded from downloader-config.json in run()
+        this.targetDirs = null;
+        this.overrides = new HumanOverrides(__dirname);
+        this.overrideSource = 'restore';
+        this.commands = ['list', 'restore'];
+        this.usage = USAGE;
+    }
+
+    parseArgs(argv) {
+        const [command, ...rest] = argv;
+        if (!this.commands.includes(command)) {
+            throw new Error(this.usage);
+        }
+
+        const options = { command, files: [], all: false, attributes: [] };
+        const takeValue = (flag, value) => {
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`${flag} requires a value`);
+            }
+            return value;
+        };
+        const takeDate = (flag, value) => {
+            const time = Date.parse(takeValue(flag, value));
+            if (isNaN(time)) throw new Error(`${flag}: invalid date "${value}"`);
+            return time;
+        };
+        const takeNumber = (flag, value) => {
+            const number = Number(takeValue(flag, value));
+            if (isNaN(number)) throw new Error(`${flag}: invalid number "${value}"`);
+            return number;
+        };
+
+        for (let i = 0; i < rest.length; i++) {
+            const arg = rest[i];
+            switch (arg) {
+                case '--all': options.all = true; break;
+                case '--since': options.since = takeDate(arg, rest[++i]); break;
+                case '--until': options.until = takeDate(arg, rest[++i]); break;
+                case '--min-confidence': options.minConfidence = takeNumber(arg, rest[++i]); break;
+                case '--max-confidence': options.maxConfidence = takeNumber(arg, rest[++i]); break;
+                case '--attribute': options.attributes.push(takeValue(arg, rest[++i]).toLowerCase()); break;
+                case '--type': options.type = takeValue(arg, rest[++i]); break;
+                default:
+                    if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}\n\n${this.usage}`);
+                    options.files.push(arg);
+            }
+        }
+
+        if (options.type && !['image', 'video'].includes(options.type)) {
+            throw new Error(`--type must be "image" or "video"`);
+        }
+        if (command !== 'list' && !options.all && options.files.length === 0) {
+            throw new Error(`${command} needs file names or --all`);
+        }
+
+        return options;
+    }
+
+    async walk(dir) {
+        if (!await fs.pathExists(dir)) return [];
+
+        const files = [];
+        for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.walk(fullPath));
+            } else {
+                files.push(fullPath);
+            }
+        }
+        return files;
+    }
+
+    async listQuarantined() {
+        const items = [];
+
+        for (const quarantineDir of this.quarantineDirs) {
+            for (const filePath of await this.walk(quarantineDir)) {
+                const type = (await detectFileType(filePath))?.kind;
+                if (!type) continue;
+
+                const analysisFile = `${filePath}.analysis.txt`;
+                const hasAnalysis = await fs.pathExists(analysisFile);
+                const analysis = hasAnalysis
+                    ? parseAnalysisReport(await fs.readFile(analysisFile, 'utf8'))
+                    : { status: 'missing' };
+
+                items.push({
+                    filePath,
+                    analysisFile: hasAnalysis ? analysisFile : null,
+                    relativePath: path.relative(quarantineDir, filePath),
+                    quarantineDir,
+                    type,
+                    quarantinedAt: (await fs.stat(hasAnalysis ? analysisFile : filePath)).mtimeMs,
+                    analysis
+                });
+            }
+        }
+
+        return items.sort((a, b) => a.quarantinedAt - b.quarantinedAt);
+    }
+
+    filterItems(items, options) {
+        return items.filter(item => {
+            const { confidence, attributes = {} } = item.analysis;
+
+            if (options.type && item.type !== options.type) return false;
+            if (options.since !== undefined && item.quarantinedAt < options.since) return false;
+            if (options.until !== undefined && item.quarantinedAt >= options.until) return false;
+            if (options.minConfidence !== undefined && !(confidence >= options.minConfidence)) return false;
+            if (options.maxConfidence !== undefined && !(confidence <= options.maxConfidence)) return false;
+            if (options.attributes.some(key => attributes[key] !== true)) return false;
+            if (options.files.length > 0 && !options.files.some(name =>
+                name === path.basename(item.filePath) || name === item.relativePath
+            )) return false;
+
+            return true;
+        });
+    }
+
+    describe(item) {
+        const icon = item.type === 'video' ? '🎬' : '🖼️';
+        const date = new Date(item.quarantinedAt).toISOString().split('.')[0] + 'Z';
+        const { status, verdict, confidence, attributes = {} } = item.analysis;
+
+        const verdictText = status === 'ok'
+            ? `${verdict?.toUpperCase()} (confidence: ${confidence ?? '?'}/10)`
+            : status === 'missing' ? 'no analysis file' : 'unparseable analysis';
+        const flagged = Object.entries(attributes).filter(([, value]) => value).map(([key]) => key);
+
+        return `${icon} ${item.relativePath}\n     ${date} · ${verdictText}${flagged.length > 0 ? ` · ${flagged.join(', ')}` : ''}`;
+    }
+
+    async restoreItem(item) {
+        const targetPath = path.join(this.targetDirs[item.type], item.relativePath);
+
+        if (await fs.pathExists(targetPath)) {
+            throw new Error(`${path.relative(this.baseDir, targetPath)} already exists`);
+        }
+
+        const contentHash = await ChecksumIndex.hashFile(item.filePath);
+        await fs.ensureDir(path.dirname(targetPath));
+        await fs.move(item.filePath, targetPath);
+        await moveSidecar(item.filePath, targetPath);
+
+        // Record the restore so the analyzers never re-delete this content
+        const { status, ...previousVerdict } = item.analysis;
+        this.overrides.record(contentHash, {
+            decision: 'keep',
+            file: path.relative(this.baseDir, targetPath).split(path.sep).join('/'),
+            source: this.overrideSource,
+            previousVerdict: status === 'ok' ? previousVerdict : null
+        });
+
+        if (item.analysisFile) {
+            await fs.remove(item.analysisFile);
+        }
+
+        return targetPath;
+    }
+
+    async run(argv) {
+        try {
+            const options = this.parseArgs(argv);
+            await this.overrides.load();
+            this.targetDirs = await loadMediaDirs(this.baseDir);
+
+            const items = this.filterItems(await this.listQuarantined(), options);
+
+            if (options.command === 'list') {
+                console.log(`🗂️  ${items.length} quarantined files\n`);
+                items.forEach(item => console.log(this.describe(item)));
+                return;
+            }
+
+            if (items.length === 0) {
+                console.log('📭 No quarantined files match');
+                return;
+            }
+
+            let restored = 0;
+            for (const item of items) {
+                try {
+                    const targetPath = await this.restoreItem(item);
+                    restored++;
+                    console.log(`♻️  Restored ${item.relativePath} → ${path.relative(this.baseDir, path.dirname(targetPath))}/`);
+                } catch (error) {
+                    console.error(`❌ Failed to restore ${item.relativePath}:`, error.message);
+                }
+            }
+
+            await this.overrides.save();
+            console.log(`\n✅ Restored ${restored}/${items.length} files (recorded as human overrides)`);
+
+        } catch (error) {
+            console.error(`💥 ${error.message}`);
+            process.exit(1);
+        }
+    }
+}
+
+// Run the restorer
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const restorer = new MediaRestorer();
+    restorer.run(process.argv.slice(2)).catch(console.error);
+}
+
+export default MediaRestorer;
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ChecksumIndex from './checksum-index.js';
+import MediaRestorer, { FILTERS_USAGE } from './restore-media.js';
+import { freePath, moveSidecar } from './media-metadata.js';
+import { loadMediaDirs } from './downloader-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = `Usage:
+  node review-queue.js list [filters]
+  node review-queue.js approve <file...> [filters]
+  node review-queue.js approve --all [filters]
+  node review-queue.js reject <file...> [filters]
+  node review-queue.js reject --all [filters]
+
+${FILTERS_USAGE}`;
+
+/**
+ * Moderator decisions on the borderline files the analyzers queue in review/.
+ * Approving moves a file back to where it was downloaded and records a "keep" human
+ * override, so it is never sent to the model again; rejecting moves it, with its
+ * analysis, to the deleted directory. Both work in bulk with --all and the same
+ * filters as restore-media.js.
+ */
+class ReviewQueue extends MediaRestorer {
+    constructor() {
+        super();
+        this.quarantineDirs = [
+            path.join(__dirname, 'review', 'images'),
+            path.join(__dirname, 'review', 'videos')
+        ];
+        this.deletedDirs = {
+            image: path.join(__dirname, 'deleted_images'),
+            video: path.join(__dirname, 'deleted_media')
+        };
+        this.overrideSource = 'review';
+        this.commands = ['list', 'approve', 'reject'];
+        this.usage = USAGE;
+    }
+
+    // Moderators decide on the model's reasoning, so the list shows it
+    describe(item) {
+        const { reasoning } = item.analysis;
+        return reasoning ? `${super.describe(item)}\n     ${reasoning}` : super.describe(item);
+    }
+
+    async rejectItem(item) {
+        const targetPath = await freePath(path.join(this.deletedDirs[item.type], item.relativePath));
+        const contentHash = await ChecksumIndex.hashFile(item.filePath);
+
+        await fs.ensureDir(path.dirname(targetPath));
+        await fs.move(item.filePath, targetPath);
+        await moveSidecar(item.filePath, targetPath);
+        if (item.analysisFile) {
+            await fs.move(item.analysisFile, `${targetPath}.analysis.txt`);
+        }
+
+        const { status, ...previousVerdict } = item.analysis;
+        this.overrides.record(contentHash, {
+            decision: 'delete',
+            file: path.relative(this.baseDir, targetPath).split(path.sep).join('/'),
+            source: this.overrideSource,
+            previousVerdict: status === 'ok' ? previousVerdict : null
+        });
+
+        return targetPath;
+    }
+
+    async run(argv) {
+        try {
+            const options = this.parseArgs(argv);
+            await this.overrides.load();
+            this.targetDirs = await loadMediaDirs(this.baseDir);
+
+            const items = this.filterItems(await this.listQuarantined(), options);
+
+            if (options.command === 'list') {
+                console.log(`🔎 ${items.length} files awaiting review\n`);
+                items.forEach(item => console.log(this.describe(item)));
+                return;
+            }
+
+            if (items.length === 0) {
+                console.log('📭 No files in the review queue match');
+                return;
+            }
+
+            const approve = options.command === 'approve';
+            let decided = 0;
+            for (const item of items) {
+                try {
+                    const targetPath = approve ? await this.restoreItem(item) : await this.rejectItem(item);
+                    decided++;
+                    console.log(`${approve ? '✅ Approved' : '🗑️  Rejected'} ${item.relativePath} → ${path.relative(this.baseDir, path.dirname(targetPath))}/`);
+                } catch (error) {
+                    console.error(`❌ Failed to ${options.command} ${item.relativePath}:`, error.message);
+                }
+            }
+
+            await this.overrides.save();
+            console.log(`\n✅ ${approve ? 'Approved' : 'Rejected'} ${decided}/${items.length} files (recorded as human overrides)`);
+
+        } catch (error) {
+            console.error(`💥 ${error.message}`);
+            process.exit(1);
+        }
+    }
+}
+
+// Run the review queue
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const queue = new ReviewQueue();
+    queue.run(process.argv.slice(2)).catch(console.error);
+}
+
+export default ReviewQueue;
@@ -0,0 +1,41 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Settings shared by the video scheduler and the static-frame detector, read from
+ * scheduler-config.json. Missing keys fall back to the defaults below.
+ */
+
+export const DEFAULT_SCHEDULER_CONFIG = {
+    shuffleSeed: 1,
+    scheduleRebuildInterval: 3600000, // Sync with saved_videos/ at most this often (ms)
+    videoTransitionDelay: 2000,       // Pause between videos (ms)
+    timezoneMode: 'utc',              // Which midnight resets the daily seed: "utc" or "local"
+    dailySeedReset: true,             // Derive a fresh shuffle seed every day
+    staticDetectionThreshold: 0.3,    // Percent (0-100) of the 0-255 brightness range; a smaller mean frame-to-frame change is static
+    maxStaticDuration: 5000           // Longest static/black run (ms) a video may contain untrimmed
+};
+
+export async function loadSchedulerConfig(baseDir) {
+    const file = path.join(baseDir, 'scheduler-config.json');
+    const config = { ...DEFAULT_SCHEDULER_CONFIG };
+
+    if (await fs.pathExists(file)) {
+        Object.assign(config, await fs.readJson(file));
+    }
+
+    if (!['utc', 'local'].includes(config.timezoneMode)) {
+        throw new Error(`scheduler-config.json: timezoneMode must be "utc" or "local" (got "${config.timezoneMode}")`);
+    }
+    for (const key of ['scheduleRebuildInterval', 'videoTransitionDelay', 'staticDetectionThreshold', 'maxStaticDuration']) {
+        if (typeof config[key] !== 'number' || config[key] < 0) {
+            throw new Error(`scheduler-config.json: ${key} must be a non-negative number`);
+        }
+    }
+
+    if (config.staticDetectionThreshold > 100) {
+        throw new Error('scheduler-config.json: staticDetectionThreshold is a percentage and must be at most 100');
+    }
+
+    return config;
+}
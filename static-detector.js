@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runTool } from './video-preprocessor.js';
+import { writeJsonAtomic } from './tracking-store.js';
+import { loadSchedulerConfig } from './scheduler-config.js';
+import { loadMediaDirs } from './downloader-config.js';
+import { listMediaFiles } from './media-type.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Offline static/blank-frame pass over saved_videos/.
+ *
+ * Each video is decoded locally by ffmpeg into tiny grayscale frames. A frame is
+ * inactive when it barely differs from the previous one (staticDetectionThreshold) or
+ * is black; runs of inactive frames longer than maxStaticDuration are flagged. Results
+ * go to static-analysis.json with the longest active segment, which the scheduler uses
+ * to trim a video or skip it entirely. Videos ffmpeg cannot decode are recorded as
+ * unplayable too. Unchanged files are not decoded again.
+ */
+
+const SAMPLE_FPS = 4;
+const FRAME_WIDTH = 64;
+const FRAME_HEIGHT = 36;
+const BLACK_LEVEL = 16;           // Mean luminance (0-255) at or below which a frame is black
+const MIN_ACTIVE_DURATION = 1000; // Active segments shorter than this (ms) are not worth playing
+
+export async function loadStaticResults(baseDir) {
+    const file = path.join(baseDir, 'static-analysis.json');
+    if (!await fs.pathExists(file)) return {};
+
+    const data = await fs.readJson(file);
+    return data.videos || {};
+}
+
+// Split a list of per-frame inactive flags into static runs and the longest active segment
+export function findSegments(inactive, { frameDuration, maxStaticDuration }) {
+    const totalDuration = inactive.length * frameDuration;
+    const staticSegments = [];
+
+    let runStart = null;
+    for (let i = 0; i <= inactive.length; i++) {
+        if (i < inactive.length && inactive[i]) {
+            if (runStart === null) runStart = i;
+        } else if (runStart !== null) {
+            const start = runStart * frameDuration;
+            const end = i * frameDuration;
+            if (end - start > maxStaticDuration) {
+                staticSegments.push({ start, end });
+            }
+            runStart = null;
+        }
+    }
+
+    // The active segments are the gaps between flagged runs
+    let activeSegment = null;
+    let cursor = 0;
+    for (const { start, end } of [...staticSegments, { start: totalDuration, end: totalDuration }]) {
+        if (start - cursor > (activeSegment ? activeSegment.end - activeSegment.start : 0)) {
+            activeSegment = { start: cursor, end: start };
+        }
+        cursor = end;
+    }
+
+    if (activeSegment && activeSegment.end - activeSegment.start < MIN_ACTIVE_DURATION) {
+        activeSegment = null;
+    }
+
+    return { duration: totalDuration, staticSegments, activeSegment };
+}
+
+class StaticDetector {
+    constructor({ baseDir = __dirname, videoDir = null, ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg', timeout = 300000 } = {}) {
+        this.baseDir = baseDir;
+        this.videoDir = videoDir; // The downloader's video directory unless given
+        this.resultsFile = path.join(baseDir, 'static-analysis.json');
+        this.ffmpegPath = ffmpegPath;
+        this.timeout = timeout;
+        this.results = {};
+
+        this.stats = { checked: 0, cached: 0, flagged: 0, unplayable: 0, undecodable: 0, errors: 0 };
+    }
+
+    async init() {
+        this.config = await loadSchedulerConfig(this.baseDir);
+        this.videoDir = this.videoDir || (await loadMediaDirs(this.baseDir)).video;
+        this.results = await loadStaticResults(this.baseDir);
+    }
+
+    async decodeFrames(filePath) {
+        const output = await runTool(this.ffmpegPath, [
+            '-v', 'error',
+            '-i', filePath,
+            '-an',
+            '-vf', `fps=${SAMPLE_FPS},scale=${FRAME_WIDTH}:${FRAME_HEIGHT},format=gray`,
+            '-f', 'rawvideo',
+            'pipe:1'
+        ], { timeout: this.timeout });
+
+        const frameSize = FRAME_WIDTH * FRAME_HEIGHT;
+        const frames = [];
+        for (let offset = 0; offset + frameSize <= output.length; offset += frameSize) {
+            frames.push(output.subarray(offset, offset + frameSize));
+        }
+        return frames;
+    }
+
+    // Per-frame inactive flags: black, or changed less than the threshold since the last frame
+    measure(frames) {
+        const threshold = this.config.staticDetectionThreshold / 100 * 255;
+
+        return frames.map((frame, i) => {
+            let luminance = 0;
+            let change = 0;
+            for (let p = 0; p < frame.length; p++) {
+                luminance += frame[p];
+                if (i > 0) change += Math.abs(frame[p] - frames[i - 1][p]);
+            }
+            luminance /= frame.length;
+            change /= frame.length;
+
+            return luminance <= BLACK_LEVEL || (i > 0 && change < threshold);
+        });
+    }
+
+    async analyzeVideo(filePath) {
+        const frames = await this.decodeFrames(filePath);
+        if (frames.length === 0) {
+            throw new Error('ffmpeg decoded no frames');
+        }
+
+        const { duration, staticSegments, activeSegment } = findSegments(this.measure(frames), {
+            frameDuration: 1000 / SAMPLE_FPS,
+            maxStaticDuration: this.config.maxStaticDuration
+        });
+
+        return {
+            duration,
+            flagged: staticSegments.length > 0,
+            staticSegments,
+            activeSegment
+        };
+    }
+
+    async run({ force = false } = {}) {
+        await this.init();
+
+        // Keyed by path relative to saved_videos/, like the scheduler's playlist
+        const files = (await listMediaFiles(this.videoDir, 'video')).map(file => path.relative(this.videoDir, file).split(path.sep).join('/'));
+
+        console.log(`🔎 Checking ${files.length} videos for static/black frames (threshold ${this.config.staticDetectionThreshold}%, max ${this.config.maxStaticDuration}ms)\n`);
+
+        const results = {};
+        for (const file of files) {
+            const filePath = path.join(this.videoDir, file);
+            const { size, mtimeMs } = await fs.stat(filePath);
+            const previous = this.results[file];
+
+            // Re-decode only when the file or the detection settings changed
+            const settings = { threshold: this.config.staticDetectionThreshold, maxStaticDuration: this.config.maxStaticDuration };
+            if (!force && previous && previous.size === size && previous.mtimeMs === mtimeMs &&
+                JSON.stringify(previous.settings) === JSON.stringify(settings)) {
+                results[file] = previous;
+                this.stats.cached++;
+                continue;
+            }
+
+            try {
+                const result = await this.analyzeVideo(filePath);
+                results[file] = { size, mtimeMs, settings, ...result, checkedAt: new Date().toISOString() };
+                this.stats.checked++;
+
+                if (!result.flagged) {
+                    console.log(`✅ ${file}`);
+                } else if (result.activeSegment) {
+                    this.stats.flagged++;
+                    const { start, end } = result.activeSegment;
+                    console.log(`✂️  ${file} - static runs found, trimming to ${(start / 1000).toFixed(1)}s-${(end / 1000).toFixed(1)}s`);
+                } else {
+                    this.stats.unplayable++;
+                    results[file].unplayable = true;
+                    results[file].reason = 'static or black throughout';
+                    console.log(`⛔ ${file} - static or black throughout, will be skipped`);
+                }
+            } catch (error) {
+                // A missing ffmpeg or a timeout says nothing about the file; a failed decode does
+                if (error.toolMissing) throw error;
+                if (error.timedOut) {
+                    this.stats.errors++;
+                    console.error(`❌ Failed to check ${file}:`, error.message);
+                } else {
+                    this.stats.checked++;
+                    this.stats.undecodable++;
+                    results[file] = {
+                        size, mtimeMs, settings,
+                        flagged: true,
+                        unplayable: true,
+                        reason: `cannot be decoded: ${error.message}`,
+                        staticSegments: [],
+                        activeSegment: null,
+                        checkedAt: new Date().toISOString()
+                    };
+                    console.log(`⛔ ${file} - cannot be decoded (${error.message}), will be skipped`);
+                }
+            }
+
+            // Keep progress if a long pass is interrupted
+            await writeJsonAtomic(this.resultsFile, { lastUpdated: new Date().toISOString(), videos: { ...this.results, ...results } });
+        }
+
+        this.results = results;
+        await writeJsonAtomic(this.resultsFile, { lastUpdated: new Date().toISOString(), videos: results });
+
+        console.log('\n' + '='.repeat(70));
+        console.log('📊 STATIC FRAME CHECK COMPLETE');
+        console.log('='.repeat(70));
+        console.log(`🔎 Decoded: ${this.stats.checked} (unchanged, skipped: ${this.stats.cached})`);
+        console.log(`✂️  Trimmed to active segment: ${this.stats.flagged}`);
+        console.log(`⛔ Skipped by scheduler: ${this.stats.unplayable} static or black, ${this.stats.undecodable} undecodable`);
+        console.log(`❌ Errors: ${this.stats.errors}`);
+        console.log('='.repeat(70));
+    }
+}
+
+// Run the detector
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const detector = new StaticDetector();
+    const force = process.argv.includes('--force');
+    detector.run({ force }).catch(error => {
+        console.error('💥 Fatal error:', error.message);
+        process.exit(1);
+    });
+}
+
+export default StaticDetector;
@@ -0,0 +1,204 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Write to a temp file, fsync, then rename so a crash never leaves a half-written file
+export async function writeJsonAtomic(filePath, data, options = { spaces: 2 }) {
+    await writeFileAtomic(filePath, JSON.stringify(data, null, options.spaces) + '\n');
+}
+
+export async function writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Legacy store: the whole Set lives in processed_messages.json and is rewritten on every flush.
+ */
+export class JsonTrackingStore {
+    constructor({ dir }) {
+        this.file = path.join(dir, 'processed_messages.json');
+        this.ids = new Set();
+        this.dirty = false;
+        this.queue = Promise.resolve();
+    }
+
+    get files() {
+        return [this.file];
+    }
+
+    get size() {
+        return this.ids.size;
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    add(id) {
+        if (this.ids.has(id)) return;
+        this.ids.add(id);
+        this.dirty = true;
+    }
+
+    async load() {
+        if (await fs.pathExists(this.file)) {
+            const data = await fs.readJson(this.file);
+            this.ids = new Set(Array.isArray(data) ? data : (data.messages || []));
+        }
+        return this.ids.size;
+    }
+
+    flush() {
+        this.queue = this.queue.catch(() => {}).then(async () => {
+            if (!this.dirty) return;
+            this.dirty = false;
+            await writeJsonAtomic(this.file, { messages: Array.from(this.ids) });
+        });
+        return this.queue;
+    }
+}
+
+/**
+ * Append-only store: one message ID per line in processed_messages.log.
+ * Flushes only append new IDs; the log is compacted (rewritten atomically)
+ * when it holds torn lines or noticeably more lines than unique IDs. logLines
+ * counts every line in the file, duplicates included, so the ratio can trip.
+ */
+export class AppendLogTrackingStore {
+    constructor({ dir, compactionRatio = 1.5 }) {
+        this.file = path.join(dir, 'processed_messages.log');
+        this.legacyFile = path.join(dir, 'processed_messages.json');
+        this.compactionRatio = compactionRatio;
+
+        this.ids = new Set();
+        this.pending = [];
+        this.logLines = 0;
+        this.needsCompaction = false;
+        this.queue = Promise.resolve();
+    }
+
+    get files() {
+        return [this.file];
+    }
+
+    get size() {
+        return this.ids.size;
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    add(id) {
+        if (this.ids.has(id)) return;
+        this.ids.add(id);
+        this.pending.push(id);
+    }
+
+    async load() {
+        if (await fs.pathExists(this.file)) {
+            await this.readLog();
+        }
+
+        // Merged even when a log exists, so an empty log written before migration loses nothing
+        await this.migrateLegacyJson();
+        return this.ids.size;
+    }
+
+    async readLog() {
+        const contents = await fs.readFile(this.file, 'utf8');
+        for (const line of contents.split('\n')) {
+            if (!line) continue;
+            this.logLines++;
+            if (/^\d+$/.test(line)) {
+                this.ids.add(line);
+            } else {
+                // A torn final write from a crash - drop it on the next compaction
+                this.needsCompaction = true;
+            }
+        }
+
+        // A torn last line without a newline would otherwise merge with the next append
+        if (contents.length > 0 && !contents.endsWith('\n')) {
+            this.needsCompaction = true;
+        }
+    }
+
+    async migrateLegacyJson() {
+        if (!await fs.pathExists(this.legacyFile)) return;
+
+        const data = await fs.readJson(this.legacyFile);
+        const legacyIds = Array.isArray(data) ? data : (data.messages || []);
+        legacyIds.forEach(id => this.ids.add(String(id)));
+        await this.compact();
+        await fs.rename(this.legacyFile, `${this.legacyFile}.migrated`);
+        console.log(`📦 Migrated ${legacyIds.length} processed message IDs from ${path.basename(this.legacyFile)} to ${path.basename(this.file)}`);
+    }
+
+    flush() {
+        return this.enqueue(async () => {
+            // Pending IDs are in the Set but not yet in the file
+            const loggedIds = this.ids.size - this.pending.length;
+            if (this.needsCompaction || this.logLines > loggedIds * this.compactionRatio) {
+                await this.compact();
+                return;
+            }
+
+            if (this.pending.length === 0) return;
+
+            const batch = this.pending;
+            this.pending = [];
+
+            try {
+                const handle = await fs.promises.open(this.file, 'a');
+                try {
+                    await handle.writeFile(batch.join('\n') + '\n');
+                    await handle.sync();
+                } finally {
+                    await handle.close();
+                }
+            } catch (error) {
+                // Keep the batch so the next flush retries it; part of it may already be on
+                // disk, so the retry rewrites the log instead of appending duplicates
+                this.pending = batch.concat(this.pending);
+                this.needsCompaction = true;
+                throw error;
+            }
+            this.logLines += batch.length;
+        });
+    }
+
+    async compact() {
+        this.pending = [];
+        const ids = Array.from(this.ids);
+        await writeFileAtomic(this.file, ids.length > 0 ? ids.join('\n') + '\n' : '');
+        this.logLines = ids.length;
+        this.needsCompaction = false;
+    }
+
+    // Serialize appends and compactions so they never interleave
+    enqueue(task) {
+        this.queue = this.queue.catch(() => {}).then(task);
+        return this.queue;
+    }
+}
+
+const STORES = {
+    json: JsonTrackingStore,
+    log: AppendLogTrackingStore
+};
+
+export function createTrackingStore(type = 'log', options = {}) {
+    const Store = STORES[type];
+    if (!Store) {
+        throw new Error(`Unknown tracking store "${type}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+    }
+    return new Store(options);
+}
@@ -0,0 +1,155 @@
+/**
+ * Structured verdicts for the vision model.
+ *
+ * Prompts end with jsonResponseFormat(), which asks for a single JSON object.
+ * parseVerdict() tolerates the wrappers GLM adds around it (box tokens, code fences,
+ * leading prose) but validates every field; anything it cannot trust comes back as
+ * { status: 'unparseable' } so callers can leave the file alone.
+ */
+
+const BOX_MARKERS = /<\|(begin|end)_of_box\|>/g;
+const VERDICTS = ['yes', 'no', 'maybe'];
+
+export function jsonResponseFormat({ attributes = [], allowMaybe = false, reasoning = 'Explain why this should or should not be Schwepe' } = {}) {
+    const verdicts = (allowMaybe ? VERDICTS : VERDICTS.slice(0, 2)).map(verdict => `"${verdict}"`).join(' | ');
+    const attributeLines = attributes.map(({ key }) => `    "${key}": true | false`);
+
+    return `RESPONSE FORMAT:
+Reply with ONLY a JSON object matching this schema - no markdown, no text before or after it:
+{
+  "verdict": ${verdicts},
+  "confidence": <integer 1-10>,
+  "attributes": {
+${attributeLines.join(',\n')}
+  },
+  "reasoning": "<${reasoning}>"
+}`;
+}
+
+function unparseable(raw, error) {
+    return { status: 'unparseable', error, raw };
+}
+
+// Pull the outermost {...} out of the reply, ignoring wrappers around it
+function extractJson(reply) {
+    const cleaned = reply
+        .replace(BOX_MARKERS, '')
+        .replace(/```(?:json)?/gi, '')
+        .trim();
+
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end < start) return null;
+
+    return cleaned.slice(start, end + 1);
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string' && ['yes', 'true'].includes(value.trim().toLowerCase())) return true;
+    if (typeof value === 'string' && ['no', 'false'].includes(value.trim().toLowerCase())) return false;
+    return undefined;
+}
+
+export function parseVerdict(reply, { attributes = [], allowMaybe = false } = {}) {
+    if (typeof reply !== 'string' || reply.trim() === '') {
+        return unparseable(reply, 'Empty reply');
+    }
+
+    const json = extractJson(reply);
+    if (!json) {
+        return unparseable(reply, 'No JSON object found in reply');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        return unparseable(reply, `Invalid JSON: ${error.message}`);
+    }
+
+    const verdict = typeof data.verdict === 'string' ? data.verdict.trim().toLowerCase() : null;
+    if (!VERDICTS.includes(verdict) || (verdict === 'maybe' && !allowMaybe)) {
+        return unparseable(reply, `Invalid verdict: ${JSON.stringify(data.verdict)}`);
+    }
+
+    const confidence = Number(data.confidence);
+    if (!Number.isInteger(confidence) || confidence < 1 || confidence > 10) {
+        return unparseable(reply, `Invalid confidence: ${JSON.stringify(data.confidence)}`);
+    }
+
+    const reported = data.attributes && typeof data.attributes === 'object' ? data.attributes : {};
+    const parsedAttributes = {};
+    for (const { key } of attributes) {
+        // A truncated reply must not turn into a confident "no"
+        if (reported[key] === undefined) {
+            return unparseable(reply, `Missing attribute ${key}`);
+        }
+        const value = toBoolean(reported[key]);
+        if (value === undefined) {
+            return unparseable(reply, `Invalid value for attribute ${key}: ${JSON.stringify(reported[key])}`);
+        }
+        parsedAttributes[key] = value;
+    }
+
+    return {
+        status: 'ok',
+        verdict,
+        confidence,
+        attributes: parsedAttributes,
+        reasoning: typeof data.reasoning === 'string' ? data.reasoning.trim() : ''
+    };
+}
+
+// Reply format used before JSON verdicts: "KEY: VALUE" lines, often inside box markers
+export function parseLegacyReply(reply) {
+    const fields = {};
+    for (const line of reply.replace(BOX_MARKERS, '').split('\n')) {
+        const match = /^\s*([A-Z_]+)\s*:\s*(.*?)\s*$/.exec(line);
+        if (match && !(match[1] in fields)) {
+            fields[match[1]] = match[2];
+        }
+    }
+
+    const verdict = fields.SCHWEPE_RELATED?.toLowerCase();
+    const confidence = parseInt(fields.CONFIDENCE, 10);
+    if (!VERDICTS.includes(verdict) || !Number.isInteger(confidence)) {
+        return unparseable(reply, 'Missing SCHWEPE_RELATED or CONFIDENCE line');
+    }
+
+    const attributes = {};
+    for (const [key, value] of Object.entries(fields)) {
+        const flag = toBoolean(value);
+        if (key !== 'SCHWEPE_RELATED' && flag !== undefined) {
+            attributes[key.toLowerCase()] = flag;
+        }
+    }
+
+    return { status: 'ok', verdict, confidence, attributes, reasoning: fields.REASONING || '' };
+}
+
+// Read a saved <file>.analysis.txt, whichever reply format it was written in
+export function parseAnalysisReport(text) {
+    const body = text.replace(/^\s*(?:Deleted|Review) reason:\s*/, '');
+
+    const json = extractJson(body);
+    if (json) {
+        try {
+            const data = JSON.parse(json);
+            const attributes = Object.fromEntries(
+                Object.entries(data.attributes || {}).map(([key, value]) => [key, toBoolean(value) ?? false])
+            );
+            return {
+                status: 'ok',
+                verdict: typeof data.verdict === 'string' ? data.verdict.toLowerCase() : null,
+                confidence: Number.isInteger(Number(data.confidence)) ? Number(data.confidence) : null,
+                attributes,
+                reasoning: typeof data.reasoning === 'string' ? data.reasoning : ''
+            };
+        } catch {
+            // Fall through to the legacy line format
+        }
+    }
+
+    return parseLegacyReply(body);
+}
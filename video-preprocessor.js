@@ -0,0 +1,168 @@
+import { spawn } from 'child_process';
+
+/**
+ * Turns a video into something a vision model can take quickly: a handful of JPEG
+ * keyframes sampled evenly across the video, plus an optional short low-bitrate proxy
+ * clip (with audio) for providers that accept video input. Everything is produced by
+ * a local ffmpeg binary and streamed over stdout, so no temp files are left behind.
+ */
+
+export const DEFAULT_FRAME_OPTIONS = {
+    keyframes: 6,      // Frames sampled evenly across the video
+    frameWidth: 512,   // Frame width in pixels (height keeps the aspect ratio)
+    proxySeconds: 8,   // Length of the proxy clip from the start of the video; 0 disables it
+    proxyWidth: 360    // Proxy clip width in pixels
+};
+
+export function frameOptionsFromEnv(env = process.env) {
+    const number = (name, fallback) => {
+        if (env[name] === undefined || env[name] === '') return fallback;
+        const value = Number(env[name]);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`${name} must be a non-negative integer (got "${env[name]}")`);
+        }
+        return value;
+    };
+
+    return {
+        keyframes: number('VIDEO_KEYFRAMES', DEFAULT_FRAME_OPTIONS.keyframes),
+        frameWidth: number('VIDEO_FRAME_WIDTH', DEFAULT_FRAME_OPTIONS.frameWidth),
+        proxySeconds: number('VIDEO_PROXY_SECONDS', DEFAULT_FRAME_OPTIONS.proxySeconds),
+        proxyWidth: DEFAULT_FRAME_OPTIONS.proxyWidth
+    };
+}
+
+// Runs an ffmpeg-family binary and resolves with its stdout
+export function runTool(binary, args, { timeout = 60000, pathVariable = 'FFMPEG_PATH' } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stdout = [];
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(Object.assign(new Error(`${binary} timed out after ${timeout / 1000}s`), { timedOut: true }));
+        }, timeout);
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => { stderr += chunk; });
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            if (error.code === 'ENOENT') {
+                reject(Object.assign(new Error(`${binary} not found - install ffmpeg or set ${pathVariable}`), { toolMissing: true }));
+            } else {
+                reject(error);
+            }
+        });
+
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(Buffer.concat(stdout));
+            } else {
+                reject(new Error(`${binary} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+            }
+        });
+    });
+}
+
+export class VideoPreprocessor {
+    constructor({ ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg', ffprobePath = process.env.FFPROBE_PATH || 'ffprobe', timeout = 60000, ...options } = {}) {
+        this.ffmpegPath = ffmpegPath;
+        this.ffprobePath = ffprobePath;
+        this.timeout = timeout;
+        this.options = { ...DEFAULT_FRAME_OPTIONS, ...options };
+
+        if (this.options.keyframes < 1) {
+            throw new Error('At least one keyframe is required for video analysis');
+        }
+    }
+
+    exec(binary, args) {
+        return runTool(binary, args, {
+            timeout: this.timeout,
+            pathVariable: binary === this.ffprobePath ? 'FFPROBE_PATH' : 'FFMPEG_PATH'
+        });
+    }
+
+    async probeDuration(filePath) {
+        const output = await this.exec(this.ffprobePath, [
+            '-v', 'error',
+            '-show_entries', 'format=duration',
+            '-of', 'default=noprint_wrappers=1:nokey=1',
+            filePath
+        ]);
+
+        const duration = parseFloat(output.toString());
+        if (!isFinite(duration) || duration <= 0) {
+            throw new Error('Could not determine video duration');
+        }
+        return duration;
+    }
+
+    async extractFrame(filePath, seconds) {
+        return this.exec(this.ffmpegPath, [
+            '-v', 'error',
+            '-ss', seconds.toFixed(3),
+            '-i', filePath,
+            '-frames:v', '1',
+            '-vf', `scale=${this.options.frameWidth}:-2`,
+            '-q:v', '4',
+            '-f', 'image2pipe',
+            '-vcodec', 'mjpeg',
+            'pipe:1'
+        ]);
+    }
+
+    async extractKeyframes(filePath, duration) {
+        const { keyframes } = this.options;
+        const frames = [];
+
+        // Sample the middle of each equal slice so the first and last frames are not black fades
+        for (let i = 0; i < keyframes; i++) {
+            const frame = await this.extractFrame(filePath, duration * (i + 0.5) / keyframes);
+            if (frame.length > 0) {
+                frames.push(frame);
+            }
+        }
+
+        if (frames.length === 0) {
+            throw new Error('ffmpeg produced no frames');
+        }
+        return frames;
+    }
+
+    async createProxyClip(filePath) {
+        // Fragmented MP4 can be written to a pipe
+        return this.exec(this.ffmpegPath, [
+            '-v', 'error',
+            '-i', filePath,
+            '-t', String(this.options.proxySeconds),
+            '-map', '0:v:0',
+            '-map', '0:a:0?',
+            '-vf', `scale=${this.options.proxyWidth}:-2,fps=10`,
+            '-c:v', 'libx264',
+            '-preset', 'veryfast',
+            '-crf', '35',
+            '-c:a', 'aac',
+            '-b:a', '48k',
+            '-ac', '1',
+            '-movflags', 'frag_keyframe+empty_moov',
+            '-f', 'mp4',
+            'pipe:1'
+        ]);
+    }
+
+    async prepare(filePath, { includeProxy = false } = {}) {
+        const duration = await this.probeDuration(filePath);
+        const frames = await this.extractKeyframes(filePath, duration);
+        const proxy = includeProxy && this.options.proxySeconds > 0
+            ? await this.createProxyClip(filePath)
+            : null;
+
+        return { duration, frames, proxy };
+    }
+}
+
+export default VideoPreprocessor;
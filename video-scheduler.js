@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeJsonAtomic } from './tracking-store.js';
+import { listMediaFiles } from './media-type.js';
+import { loadSchedulerConfig, DEFAULT_SCHEDULER_CONFIG } from './scheduler-config.js';
+import { loadMediaDirs } from './downloader-config.js';
+import { loadStaticResults } from './static-detector.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Playlist scheduler for the approved videos in saved_videos/.
+ *
+ * Settings come from scheduler-config.json; the playlist state lives in
+ * video-schedule.json so playback survives restarts. The order is a seeded shuffle:
+ * the same seed, day and video set always give the same order. A day change (with
+ * dailySeedReset) or reaching the end of the playlist starts a new shuffle; in between,
+ * every scheduleRebuildInterval the playlist is synced with the folder - removed videos
+ * are dropped and new ones are slotted into the unplayed part, so what has already
+ * played is never reshuffled.
+ *
+ * Videos that static-detector.js flagged are trimmed to their active segment, or
+ * skipped when they are static or black throughout.
+ */
+
+// Small fast PRNG; identical seeds give identical sequences on every platform
+export function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a, used to mix the configured seed with the day and cycle
+function hashSeed(...parts) {
+    let hash = 0x811C9DC5;
+    for (const char of parts.join(':')) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export function seededShuffle(items, seed) {
+    const random = mulberry32(seed);
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+class VideoScheduler {
+    constructor({ baseDir = __dirname, videoDir = null, now = () => Date.now() } = {}) {
+        this.baseDir = baseDir;
+        this.videoDir = videoDir; // The downloader's video directory unless given
+        this.scheduleFile = path.join(baseDir, 'video-schedule.json');
+        this.now = now;
+
+        this.config = { ...DEFAULT_SCHEDULER_CONFIG };
+        this.schedule = null;
+        this.staticResults = {};
+    }
+
+    async init() {
+        this.config = await loadSchedulerConfig(this.baseDir);
+        this.videoDir = this.videoDir || (await loadMediaDirs(this.baseDir)).video;
+        this.staticResults = await loadStaticResults(this.baseDir);
+
+        if (await fs.pathExists(this.scheduleFile)) {
+            this.schedule = await fs.readJson(this.scheduleFile);
+        }
+
+        await this.refresh();
+        return this;
+    }
+
+    dayKey(time) {
+        const date = new Date(time);
+        if (this.config.timezoneMode === 'local') {
+            const pad = value => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+        return date.toISOString().split('T')[0];
+    }
+
+    // The base seed only changes at midnight (or never, without dailySeedReset)
+    baseSeed(time) {
+        return this.config.dailySeedReset
+            ? hashSeed(this.config.shuffleSeed, this.dayKey(time))
+            : this.config.shuffleSeed >>> 0;
+    }
+
+    async listVideos() {
+        // Paths relative to saved_videos/ - just the file name for videos saved flat
+        const files = await listMediaFiles(this.videoDir, 'video');
+        return files.map(file => path.relative(this.videoDir, file).split(path.sep).join('/'));
+    }
+
+    async save() {
+        await writeJsonAtomic(this.scheduleFile, this.schedule);
+    }
+
+    build(videos, seed, cycle) {
+        this.schedule = {
+            ...this.schedule,
+            generated: this.now(),
+            seed,
+            cycle,
+            shuffledOrder: seededShuffle(videos, hashSeed(seed, cycle)),
+            currentIndex: 0,
+            totalPlayed: this.schedule?.totalPlayed || 0,
+            currentVideo: this.schedule?.currentVideo || null
+        };
+    }
+
+    // Drop videos that left saved_videos/ and slot new ones into the unplayed remainder
+    sync(videos) {
+        const available = new Set(videos);
+        const { shuffledOrder, currentIndex } = this.schedule;
+
+        const played = shuffledOrder.slice(0, currentIndex).filter(video => available.has(video));
+        const upcoming = shuffledOrder.slice(currentIndex).filter(video => available.has(video));
+
+        const removed = shuffledOrder.length - played.length - upcoming.length;
+
+        const known = new Set(shuffledOrder);
+        const added = videos.filter(video => !known.has(video));
+        const random = mulberry32(hashSeed(this.schedule.seed, this.schedule.cycle, shuffledOrder.length, added.length));
+        for (const video of added) {
+            upcoming.splice(Math.floor(random() * (upcoming.length + 1)), 0, video);
+        }
+
+        this.schedule.shuffledOrder = [...played, ...upcoming];
+        this.schedule.currentIndex = played.length;
+        this.schedule.generated = this.now();
+
+        return { added: added.length, removed };
+    }
+
+    async refresh({ force = false } = {}) {
+        const now = this.now();
+        const seed = this.baseSeed(now);
+        const videos = await this.listVideos();
+
+        if (!this.schedule?.shuffledOrder) {
+            this.build(videos, seed, 0);
+            console.log(`🎲 Built new schedule: ${videos.length} videos (seed ${seed})`);
+        } else if (this.schedule.seed === undefined) {
+            // Schedules written before seeds were tracked keep their order and position
+            this.schedule.seed = seed;
+            this.schedule.cycle = 0;
+            this.sync(videos);
+        } else if (this.schedule.seed !== seed) {
+            this.build(videos, seed, 0);
+            console.log(`🌅 Daily seed reset - reshuffled ${videos.length} videos (seed ${seed})`);
+        } else if (force || now - this.schedule.generated >= this.config.scheduleRebuildInterval) {
+            const { added, removed } = this.sync(videos);
+            console.log(`🔄 Schedule synced: ${added} added, ${removed} removed`);
+        } else {
+            return this.schedule;
+        }
+
+        await this.save();
+        return this.schedule;
+    }
+
+    // Advance to the next video; wraps into a fresh shuffle after the last one
+    async next() {
+        await this.refresh();
+
+        // Allow one wrap into a new cycle; a second means nothing is playable
+        let wraps = 0;
+        while (this.schedule.shuffledOrder.length > 0) {
+            if (this.schedule.currentIndex >= this.schedule.shuffledOrder.length) {
+                if (wraps++ > 0) break;
+                this.build(await this.listVideos(), this.schedule.seed, (this.schedule.cycle || 0) + 1);
+                console.log(`🔁 Playlist finished - starting cycle ${this.schedule.cycle}`);
+                continue;
+            }
+
+            const video = this.schedule.shuffledOrder[this.schedule.currentIndex];
+            this.schedule.currentIndex++;
+
+            const check = await this.staticCheck(video);
+            if (check?.unplayable || (check?.flagged && !check.activeSegment)) {
+                console.log(`⏭️  Skipping ${video} - ${check.reason || 'static or black throughout'}`);
+                continue;
+            }
+
+            this.schedule.totalPlayed = (this.schedule.totalPlayed || 0) + 1;
+            this.schedule.currentVideo = video;
+            this.schedule.staticDetected = Boolean(check?.flagged);
+            await this.save();
+
+            return {
+                video,
+                path: path.join(this.videoDir, video),
+                index: this.schedule.currentIndex - 1,
+                total: this.schedule.shuffledOrder.length,
+                // Play only the active segment (ms) of videos with long static runs
+                trim: check?.flagged ? check.activeSegment : null,
+                transitionDelay: this.config.videoTransitionDelay
+            };
+        }
+
+        // No videos, or every one of them is skipped
+        await this.save();
+        return null;
+    }
+
+    // Static-detector result for a video, ignored once the file has changed since the check
+    async staticCheck(video) {
+        const result = this.staticResults[video];
+        if (!result) return null;
+
+        const filePath = path.join(this.videoDir, video);
+        if (!await fs.pathExists(filePath) || (await fs.stat(filePath)).size !== result.size) {
+            return null;
+        }
+        return result;
+    }
+
+    upcoming(count = 5) {
+        const { shuffledOrder, currentIndex } = this.schedule;
+        return shuffledOrder.slice(currentIndex, currentIndex + count);
+    }
+
+    printStatus() {
+        const { shuffledOrder, currentIndex, totalPlayed, currentVideo, seed, cycle, generated } = this.schedule;
+
+        console.log('🎬 Video Schedule');
+        console.log(`   Seed: ${seed} (cycle ${cycle || 0}, ${this.config.dailySeedReset ? `daily reset, ${this.config.timezoneMode}` : 'fixed'})`);
+        console.log(`   Last synced: ${new Date(generated).toISOString()}`);
+        console.log(`   Position: ${currentIndex}/${shuffledOrder.length} (${totalPlayed || 0} played in total)`);
+        console.log(`   Now playing: ${currentVideo || '-'}`);
+
+        const upcoming = this.upcoming();
+        if (upcoming.length > 0) {
+            console.log('   Up next:');
+            upcoming.forEach((video, i) => console.log(`     ${i + 1}. ${video}`));
+        }
+    }
+
+    async run(argv) {
+        const [command = 'status'] = argv;
+
+        try {
+            await this.init();
+
+            switch (command) {
+                case 'status':
+                    break;
+                case 'next': {
+                    const entry = await this.next();
+                    if (!entry) {
+                        console.log('📭 No playable videos to schedule');
+                    } else {
+                        const trim = entry.trim ? ` ✂️  ${(entry.trim.start / 1000).toFixed(1)}s-${(entry.trim.end / 1000).toFixed(1)}s` : '';
+                        console.log(`▶️  ${entry.video} (${entry.index + 1}/${entry.total})${trim}`);
+                    }
+                    break;
+                }
+                case 'sync':
+                    await this.refresh({ force: true });
+                    break;
+                default:
+                    throw new Error(`Unknown command: ${command} (expected status, next or sync)`);
+            }
+
+            this.printStatus();
+        } catch (error) {
+            console.error('💥 Scheduler error:', error.message);
+            process.exit(1);
+        }
+    }
+}
+
+// Run the scheduler
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const scheduler = new VideoScheduler();
+    scheduler.run(process.argv.slice(2)).catch(console.error);
+}
+
+export default VideoScheduler;
@@ -0,0 +1,163 @@
+import axios from 'axios';
+import path from 'path';
+
+/**
+ * Vision model providers used by the analyzer core.
+ *
+ * A provider takes a prompt plus media parts ({ kind: 'image' | 'video', url })
+ * and returns the model's reply text. Selection happens through createVisionProvider(),
+ * which reads VISION_PROVIDER / VISION_API_URL / VISION_MODEL / VISION_API_KEY.
+ */
+
+export const PROVIDER_PRESETS = {
+    // GLM-4.5V through Z.AI's OpenAI-compatible endpoint (accepts video_url parts)
+    zai: {
+        endpoint: 'https://api.z.ai/api/coding/paas/v4/chat/completions',
+        model: 'glm-4.5v',
+        supportsVideo: true
+    },
+    openai: {
+        endpoint: 'https://api.openai.com/v1/chat/completions',
+        model: 'gpt-4o-mini',
+        supportsVideo: false
+    }
+};
+
+export class OpenAICompatibleProvider {
+    constructor({ name = 'openai-compatible', endpoint, model, apiKey, authHeader = 'Authorization', authScheme = 'Bearer', supportsVideo = false }) {
+        this.name = name;
+        this.endpoint = endpoint;
+        this.model = model;
+        this.apiKey = apiKey;
+        this.authHeader = authHeader;
+        this.authScheme = authScheme;
+        this.supportsVideo = supportsVideo;
+        this.readsMedia = true;
+    }
+
+    validate() {
+        if (!this.endpoint) {
+            throw new Error(`No endpoint configured for vision provider "${this.name}" (set VISION_API_URL)`);
+        }
+        if (!this.model) {
+            throw new Error(`No model configured for vision provider "${this.name}" (set VISION_MODEL)`);
+        }
+        if (!this.apiKey) {
+            throw new Error('VISION_API_KEY (or legacy ANTHROPIC_AUTH_TOKEN) environment variable not found');
+        }
+    }
+
+    toContentPart({ kind, url }) {
+        if (kind === 'video') {
+            if (!this.supportsVideo) {
+                throw new Error(`Vision provider "${this.name}" does not accept video input`);
+            }
+            return { type: 'video_url', video_url: { url } };
+        }
+        return { type: 'image_url', image_url: { url } };
+    }
+
+    buildPayload({ prompt, media, request }) {
+        return {
+            model: this.model,
+            messages: [
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: prompt },
+                        ...media.map(part => this.toContentPart(part))
+                    ]
+                }
+            ],
+            max_tokens: request.maxTokens,
+            temperature: request.temperature
+        };
+    }
+
+    extractReply(data) {
+        const content = data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Vision provider response has no message content');
+        }
+        return content;
+    }
+
+    async analyze({ prompt, media = [], request }) {
+        const headers = { 'Content-Type': 'application/json' };
+        headers[this.authHeader] = this.authScheme ? `${this.authScheme} ${this.apiKey}` : this.apiKey;
+
+        const response = await axios.post(this.endpoint, this.buildPayload({ prompt, media, request }), {
+            headers,
+            timeout: request.timeout
+        });
+
+        return this.extractReply(response.data);
+    }
+}
+
+/**
+ * Offline provider for CI and local runs. The verdict depends only on the file name:
+ * names matching `keepPattern` are Schwepe, names containing "unparseable" get a
+ * malformed reply, everything else is rejected.
+ */
+export class MockVisionProvider {
+    constructor({ keepPattern = /schwepe|frog|pepe|toad|247420/i } = {}) {
+        this.name = 'mock';
+        this.model = 'mock-vision-1';
+        this.supportsVideo = true;
+        this.readsMedia = false; // Judges by file name, so no media is built (and no ffmpeg needed)
+        this.keepPattern = keepPattern;
+    }
+
+    validate() {}
+
+    async analyze({ context = {} }) {
+        const fileName = path.basename(context.mediaPath || '');
+
+        if (/unparseable/i.test(fileName)) {
+            return '<|begin_of_box|>SCHWEPE_RELATED: probably<|end_of_box|>';
+        }
+
+        const keep = this.keepPattern.test(fileName);
+        const attributes = Object.fromEntries(
+            (context.attributes || []).map(({ key }) => [key, keep && /frog/.test(key)])
+        );
+
+        return `<|begin_of_box|>${JSON.stringify({
+            verdict: keep ? 'yes' : 'no',
+            confidence: keep ? 9 : 8,
+            attributes,
+            reasoning: `Mock provider: file name ${keep ? 'matches' : 'does not match'} ${this.keepPattern}`
+        })}<|end_of_box|>`;
+    }
+}
+
+export function createVisionProvider(options = {}, env = process.env) {
+    const name = options.provider || env.VISION_PROVIDER || 'zai';
+
+    if (name === 'mock') {
+        return new MockVisionProvider(options);
+    }
+
+    const preset = PROVIDER_PRESETS[name];
+    if (!preset && name !== 'openai-compatible') {
+        throw new Error(`Unknown vision provider "${name}" (expected one of: ${[...Object.keys(PROVIDER_PRESETS), 'openai-compatible', 'mock'].join(', ')})`);
+    }
+
+    let apiKey = options.apiKey || env.VISION_API_KEY;
+    if (!apiKey && env.ANTHROPIC_AUTH_TOKEN) {
+        console.log('⚠️  ANTHROPIC_AUTH_TOKEN is deprecated for the vision API - set VISION_API_KEY instead');
+        apiKey = env.ANTHROPIC_AUTH_TOKEN;
+    }
+
+    return new OpenAICompatibleProvider({
+        ...preset,
+        name,
+        endpoint: options.endpoint || env.VISION_API_URL || preset?.endpoint,
+        model: options.model || env.VISION_MODEL || preset?.model,
+        apiKey,
+        authHeader: options.authHeader || env.VISION_AUTH_HEADER || 'Authorization',
+        authScheme: options.authScheme ?? env.VISION_AUTH_SCHEME ?? 'Bearer',
+        supportsVideo: options.supportsVideo ?? (env.VISION_SUPPORTS_VIDEO ? env.VISION_SUPPORTS_VIDEO === 'true' : Boolean(preset?.supportsVideo))
+    });
+}